@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/*!
+    LICENSE
+ */
+
+require('../lib/cli').run(process.argv.slice(2), process).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,757 @@
+// Type definitions for node-tvmaze
+// Response models follow https://www.tvmaze.com/api
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+
+declare const Tvmaze: Tvmaze.Client;
+
+export = Tvmaze;
+
+declare namespace Tvmaze {
+  // MODELS
+
+  interface Link {
+    href: string;
+  }
+
+  interface Image {
+    medium: string;
+    original: string;
+  }
+
+  interface Country {
+    name: string;
+    code: string;
+    timezone: string;
+  }
+
+  interface Network {
+    id: number;
+    name: string;
+    country: Country | null;
+    officialSite?: string | null;
+  }
+
+  interface WebChannel {
+    id: number;
+    name: string;
+    country: Country | null;
+    officialSite?: string | null;
+  }
+
+  interface Externals {
+    tvrage: number | null;
+    thetvdb: number | null;
+    imdb: string | null;
+  }
+
+  interface Show {
+    id: number;
+    url: string;
+    name: string;
+    type: string;
+    language: string | null;
+    genres: string[];
+    status: string;
+    runtime: number | null;
+    averageRuntime?: number | null;
+    premiered: string | null;
+    ended?: string | null;
+    officialSite: string | null;
+    schedule: { time: string; days: string[] };
+    rating: { average: number | null };
+    weight: number;
+    network: Network | null;
+    webChannel: WebChannel | null;
+    externals: Externals;
+    image: Image | null;
+    summary: string | null;
+    updated: number;
+    _links: {
+      self: Link;
+      previousepisode?: Link;
+      nextepisode?: Link;
+    };
+  }
+
+  interface Episode {
+    id: number;
+    url: string;
+    name: string;
+    season: number;
+    number: number | null;
+    type?: string;
+    airdate: string;
+    airtime: string;
+    airstamp: string;
+    runtime: number | null;
+    rating?: { average: number | null };
+    image: Image | null;
+    summary: string | null;
+    _links: {
+      self: Link;
+      show?: Link;
+    };
+  }
+
+  interface Season {
+    id: number;
+    url: string;
+    number: number;
+    name: string;
+    episodeOrder: number | null;
+    premiereDate: string | null;
+    endDate: string | null;
+    network: Network | null;
+    webChannel: WebChannel | null;
+    image: Image | null;
+    summary: string | null;
+    _links: { self: Link };
+  }
+
+  interface Person {
+    id: number;
+    url: string;
+    name: string;
+    country: Country | null;
+    birthday: string | null;
+    deathday: string | null;
+    gender: string | null;
+    image: Image | null;
+    updated?: number;
+    _links: { self: Link };
+  }
+
+  interface Character {
+    id: number;
+    url: string;
+    name: string;
+    image: Image | null;
+    _links: { self: Link };
+  }
+
+  interface CastMember {
+    person: Person;
+    character: Character;
+    self: boolean;
+    voice: boolean;
+  }
+
+  interface CrewMember {
+    type: string;
+    person: Person;
+  }
+
+  interface CastCredit {
+    self: boolean;
+    voice: boolean;
+    _links: { show: Link; character: Link };
+  }
+
+  interface CrewCredit {
+    type: string;
+    _links: { show: Link };
+  }
+
+  interface GuestCastCredit {
+    self: boolean;
+    voice: boolean;
+    _links: { episode: Link; character: Link };
+  }
+
+  interface Alias {
+    name: string;
+    country: Country | null;
+  }
+
+  interface ImageResolution {
+    url: string;
+    width: number;
+    height: number;
+  }
+
+  interface ShowImage {
+    id: number;
+    type: 'poster' | 'banner' | 'background' | 'typography' | string;
+    main: boolean;
+    resolutions: {
+      original: ImageResolution;
+      medium?: ImageResolution;
+    };
+  }
+
+  interface BestImage {
+    id: number;
+    type: string;
+    main: boolean;
+    size: 'original' | 'medium' | string;
+    url: string;
+    width: number;
+    height: number;
+  }
+
+  interface SearchResult {
+    score: number;
+    show: Show;
+  }
+
+  interface PersonSearchResult {
+    score: number;
+    person: Person;
+  }
+
+  /** Entry of schedule and fullSchedule */
+  interface ScheduleItem extends Episode {
+    show: Show;
+  }
+
+  /** Entry of webSchedule */
+  interface WebScheduleItem extends Episode {
+    _embedded: { show: Show };
+  }
+
+  /** Entry of combinedSchedule, web entries get a show property too */
+  type CombinedScheduleItem = ScheduleItem | (WebScheduleItem & { show: Show });
+
+  /** ID to unix timestamp map */
+  interface Updates {
+    [id: string]: number;
+  }
+
+  // EMBEDS
+
+  interface ShowEmbeds {
+    episodes: Episode[];
+    cast: CastMember[];
+    crew: CrewMember[];
+    seasons: Season[];
+    nextepisode?: Episode;
+    previousepisode?: Episode;
+    akas: Alias[];
+    images: ShowImage[];
+  }
+
+  interface EpisodeEmbeds {
+    show: Show;
+    guestcast: CastMember[];
+    guestcrew: CrewMember[];
+  }
+
+  interface PersonEmbeds {
+    castcredits: Array<CastCredit & { _embedded?: { show?: Show; character?: Character } }>;
+    crewcredits: Array<CrewCredit & { _embedded?: { show?: Show } }>;
+  }
+
+  interface CastCreditEmbeds {
+    show: Show;
+    character: Character;
+  }
+
+  interface CrewCreditEmbeds {
+    show: Show;
+  }
+
+  interface GuestCastCreditEmbeds {
+    episode: Episode;
+    character: Character;
+  }
+
+  /** Adds `_embedded` holding the requested embeds */
+  type WithEmbedded<Model, Map, E extends Array<keyof Map>> = [E[number]] extends [never]
+    ? Model
+    : Model & { _embedded: Pick<Map, E[number]> };
+
+  // USER API
+
+  interface FollowedShow {
+    show_id: number;
+    _embedded?: { show: Show };
+  }
+
+  interface FollowedPerson {
+    person_id: number;
+    _embedded?: { person: Person };
+  }
+
+  interface FollowedNetwork {
+    network_id: number;
+    _embedded?: { network: Network };
+  }
+
+  interface FollowedWebChannel {
+    webchannel_id: number;
+    _embedded?: { webchannel: WebChannel };
+  }
+
+  /** type is 0 watched, 1 acquired, 2 skipped */
+  interface MarkedEpisode {
+    episode_id: number;
+    type: 0 | 1 | 2;
+    marked_at: number;
+    _embedded?: { episode: Episode };
+  }
+
+  interface ShowVote {
+    show_id: number;
+    vote: number;
+    voted_at: number;
+  }
+
+  interface EpisodeVote {
+    episode_id: number;
+    vote: number;
+    voted_at: number;
+  }
+
+  // OPTIONS
+
+  interface RateLimitOptions {
+    limit?: number;
+    interval?: number;
+    concurrency?: number;
+  }
+
+  interface RetryOptions {
+    retries?: number;
+    minDelay?: number;
+    maxDelay?: number;
+    factor?: number;
+    statusCodes?: number[];
+    methods?: string[];
+  }
+
+  interface TransportRequest {
+    method: string;
+    url: string;
+    /** API path, e.g. 'shows/396' */
+    path?: string;
+    headers: { [name: string]: string };
+    body?: string;
+    signal?: AbortSignal;
+    timeout?: number;
+    stream?: boolean;
+  }
+
+  interface TransportResponse {
+    status: number;
+    headers: { [name: string]: string | string[] | undefined };
+    body: string | Buffer | Readable | unknown;
+  }
+
+  type Transport = (req: TransportRequest) => Promise<TransportResponse>;
+
+  interface MiddlewareResponse {
+    status: number;
+    /** Lower case header names */
+    headers: { [name: string]: string | string[] | undefined };
+    /** Parsed body, a stream for streaming requests */
+    body: unknown;
+  }
+
+  type Middleware = (
+    req: TransportRequest,
+    next: (req?: TransportRequest) => Promise<MiddlewareResponse>
+  ) => MiddlewareResponse | Promise<MiddlewareResponse>;
+
+  interface RequestEvent {
+    request: TransportRequest;
+    /** Attempt number, 0 for the first try */
+    attempt: number;
+  }
+
+  interface ResponseEvent extends RequestEvent, MiddlewareResponse {
+    /** Time in ms from sending to the response headers */
+    duration: number;
+  }
+
+  interface RetryEvent {
+    error: TvmazeError;
+    path: string;
+    query?: object | null;
+    /** Number of the failed attempt */
+    attempt: number;
+    /** Wait in ms before the next attempt */
+    delay: number;
+  }
+
+  interface ErrorEvent {
+    error: TvmazeError;
+    path: string;
+    query?: object | null;
+    /** Time in ms of the whole call, including retries */
+    duration: number;
+  }
+
+  interface CacheEntry {
+    value: unknown;
+    expires: number;
+    etag?: string;
+    lastModified?: string;
+  }
+
+  interface CacheStore {
+    get(key: string): Promise<CacheEntry | undefined> | CacheEntry | undefined;
+    set(key: string, entry: CacheEntry): Promise<void> | void;
+    delete(key: string): Promise<void> | void;
+  }
+
+  interface CacheOptions {
+    store?: CacheStore;
+    /** TTL in ms by endpoint (method) name */
+    ttl?: { [endpoint: string]: number };
+    defaultTtl?: number;
+  }
+
+  interface AuthOptions {
+    username: string;
+    apiKey: string;
+  }
+
+  /** Per call request options, every option can also be a client default */
+  interface RequestOptions {
+    https?: boolean;
+    header?: { [name: string]: string };
+    headers?: { [name: string]: string };
+    userAgent?: string;
+    retry?: RetryOptions | false;
+    transport?: Transport;
+    cache?: boolean;
+    refresh?: boolean;
+    auth?: AuthOptions;
+    signal?: AbortSignal;
+    timeout?: number;
+    /** Return ShowModel, EpisodeModel and PersonModel instances, see the Models section of the README */
+    models?: boolean;
+    cassette?: CassetteOptions;
+  }
+
+  interface CassetteOptions {
+    /** Recording directory */
+    dir: string;
+    /** Defaults to 'auto' */
+    mode?: 'record' | 'replay' | 'auto';
+  }
+
+  interface ClientConfig extends Pick<RequestOptions, Exclude<keyof RequestOptions, 'cache' | 'refresh'>> {
+    baseUrl?: string;
+    rateLimit?: RateLimitOptions | false;
+    cache?: CacheOptions | boolean;
+  }
+
+  interface UpdateOptions extends RequestOptions {
+    since?: 'day' | 'week' | 'month';
+  }
+
+  interface CalendarParams {
+    /** Calendar name shown by calendar apps */
+    name?: string;
+    /** Network or web channel names or IDs */
+    network?: string | number | Array<string | number>;
+    from?: Date | number;
+    /** DTSTAMP of the events */
+    now?: Date;
+  }
+
+  interface ShowsCalendarParams extends Pick<CalendarParams, Exclude<keyof CalendarParams, 'network'>> {
+    nextOnly?: boolean;
+  }
+
+  interface IterateParams {
+    startPage?: number;
+    afterId?: number;
+    concurrency?: number;
+  }
+
+  // HELPERS
+
+  interface ErrorDetails {
+    status?: number;
+    path?: string;
+    query?: object;
+    body?: unknown;
+    headers?: { [name: string]: string | string[] | undefined };
+    cause?: Error;
+  }
+
+  interface TvmazeError extends Error, ErrorDetails {}
+  interface NotFoundError extends TvmazeError {}
+  interface UnauthorizedError extends TvmazeError {}
+  interface RateLimitError extends TvmazeError {}
+  interface NetworkError extends TvmazeError {}
+  interface TimeoutError extends NetworkError {}
+  interface AbortError extends TvmazeError {}
+
+  interface CassetteError extends TvmazeError {}
+
+  interface ErrorConstructor<T extends TvmazeError> {
+    new (message: string, details?: ErrorDetails): T;
+    readonly prototype: T;
+  }
+
+  interface SchedulerStats {
+    queued: number;
+    running: number;
+    completed: number;
+    averageWait: number;
+  }
+
+  interface Scheduler extends EventEmitter {
+    limit: number;
+    interval: number;
+    concurrency: number;
+    schedule<T>(task: () => Promise<T>, signal?: AbortSignal): Promise<T>;
+    stats(): SchedulerStats;
+    on(event: 'queued', listener: (info: { queued: number }) => void): this;
+    on(event: 'start', listener: (info: { wait: number; queued: number; running: number }) => void): this;
+    on(event: 'done', listener: (info: { duration: number; queued: number; running: number }) => void): this;
+  }
+
+  interface MemoryStore extends CacheStore {
+    clear(): Promise<void>;
+  }
+
+  interface MemoryStoreConstructor {
+    new (options?: { max?: number }): MemoryStore;
+  }
+
+  interface FileStore extends CacheStore {
+    dir: string;
+  }
+
+  interface FileStoreConstructor {
+    new (options?: { dir?: string }): FileStore;
+  }
+
+  interface MirrorStore {
+    put(id: number, show: Show): Promise<void>;
+    remove(id: number): Promise<void>;
+  }
+
+  interface DirectoryStore extends MirrorStore {
+    dir: string;
+  }
+
+  interface DirectoryStoreConstructor {
+    new (options: { dir: string }): DirectoryStore;
+  }
+
+  interface SyncParams {
+    store: MirrorStore;
+    checkpoint: string;
+    embed?: Array<keyof ShowEmbeds> | null;
+    concurrency?: number;
+  }
+
+  interface SyncSummary {
+    mode: 'full' | 'incremental';
+    stored: number;
+    removed: number;
+    syncedAt: number;
+  }
+
+  interface Sync {
+    run(): Promise<SyncSummary>;
+  }
+
+  interface SyncConstructor {
+    new (client: Client<boolean>, params: SyncParams, options?: RequestOptions): Sync;
+  }
+
+  // MODEL CLASSES
+
+  interface Model<T> {
+    /** Response JSON the model was built from */
+    readonly raw: T;
+    readonly client: Client<boolean>;
+    embedded(name: string): unknown;
+    linkId(name: string): number | null;
+    toJSON(): T;
+  }
+
+  interface ShowModel extends Show, Model<Show> {
+    readonly premieredDate: Date | null;
+    readonly plainSummary: string | null;
+    episodes(specials?: boolean, options?: RequestOptions): Promise<EpisodeModel[]>;
+    seasons(options?: RequestOptions): Promise<Season[]>;
+    cast(options?: RequestOptions): Promise<Array<CastMember & { person: PersonModel }>>;
+    crew(options?: RequestOptions): Promise<Array<CrewMember & { person: PersonModel }>>;
+    images(options?: RequestOptions): Promise<ShowImage[]>;
+    nextEpisode(options?: RequestOptions): Promise<EpisodeModel | null>;
+    previousEpisode(options?: RequestOptions): Promise<EpisodeModel | null>;
+  }
+
+  interface EpisodeModel extends Episode, Model<Episode> {
+    /** Show from a schedule entry or the show embed */
+    show?: ShowModel;
+    readonly airDate: Date | null;
+    readonly plainSummary: string | null;
+    fetchShow(options?: RequestOptions): Promise<ShowModel | null>;
+    guestCast(options?: RequestOptions): Promise<Array<CastMember & { person: PersonModel }>>;
+    guestCrew(options?: RequestOptions): Promise<Array<CrewMember & { person: PersonModel }>>;
+  }
+
+  interface PersonModel extends Person, Model<Person> {
+    readonly birthDate: Date | null;
+    readonly deathDate: Date | null;
+    castCredits(embed?: string | string[] | null, options?: RequestOptions): Promise<CastCredit[]>;
+    crewCredits(embed?: string | string[] | null, options?: RequestOptions): Promise<CrewCredit[]>;
+    guestCastCredits(embed?: string | string[] | null, options?: RequestOptions): Promise<GuestCastCredit[]>;
+  }
+
+  interface ModelConstructor<T, M> {
+    new (raw: T, client: Client<boolean>): M;
+  }
+
+  // OFFLINE TESTING
+
+  interface MockServerOptions {
+    /** Fixture directory or the same data as an object */
+    fixtures?: string | { [collection: string]: unknown };
+    /** Server time for schedules and update feeds */
+    now?: Date | number | string;
+  }
+
+  interface MockServer {
+    /** Base url once started */
+    url: string | null;
+    start(port?: number): Promise<string>;
+    stop(): Promise<void>;
+  }
+
+  interface MockServerConstructor {
+    new (options?: MockServerOptions): MockServer;
+  }
+
+  /** Object mode stream of parsed array elements */
+  interface ItemStream<T> extends Readable {
+    [Symbol.asyncIterator](): AsyncIterableIterator<T>;
+  }
+
+  // CLIENT
+
+  /** Result of a client method, the model type on clients created with `models: true` */
+  type Out<M extends boolean, Plain, Modeled> = M extends true ? Modeled : Plain;
+
+  type ScheduleModel = ScheduleItem & EpisodeModel;
+
+  interface Client<M extends boolean = false> extends EventEmitter {
+    /** Merged client defaults */
+    defaults: ClientConfig;
+    scheduler: Scheduler | null;
+    middleware: Middleware[];
+
+    use(middleware: Middleware): this;
+    on(event: 'request', listener: (info: RequestEvent) => void): this;
+    on(event: 'response', listener: (info: ResponseEvent) => void): this;
+    on(event: 'retry', listener: (info: RetryEvent) => void): this;
+    on(event: 'error', listener: (info: ErrorEvent) => void): this;
+
+    createClient(config: ClientConfig & { models: true }): Client<true>;
+    createClient(config?: ClientConfig): Client;
+
+    search(string: string, options?: RequestOptions): Promise<Out<M, SearchResult[], Array<SearchResult & { show: ShowModel }>>>;
+    singleSearch<E extends Array<keyof ShowEmbeds> = []>(string: string, embed?: E | null, options?: RequestOptions): Promise<Out<M, WithEmbedded<Show, ShowEmbeds, E>, WithEmbedded<ShowModel, ShowEmbeds, E>>>;
+    searchPeople(string: string, options?: RequestOptions): Promise<Out<M, PersonSearchResult[], Array<PersonSearchResult & { person: PersonModel }>>>;
+
+    lookup(type: 'thetvdb' | 'imdb' | 'tvrage', id: string | number, options?: RequestOptions): Promise<Out<M, Show, ShowModel>>;
+    lookupThetvdb(id: string | number, options?: RequestOptions): Promise<Out<M, Show, ShowModel>>;
+    lookupImdb(id: string, options?: RequestOptions): Promise<Out<M, Show, ShowModel>>;
+    lookupTvrage(id: string | number, options?: RequestOptions): Promise<Out<M, Show, ShowModel>>;
+
+    schedule(countryCode?: string, date?: string, options?: RequestOptions): Promise<Out<M, ScheduleItem[], ScheduleModel[]>>;
+    webSchedule(date?: string, countryCode?: string, options?: RequestOptions): Promise<Out<M, WebScheduleItem[], Array<WebScheduleItem & EpisodeModel>>>;
+    combinedSchedule(countryCode?: string, date?: string, options?: RequestOptions): Promise<Out<M, CombinedScheduleItem[], Array<CombinedScheduleItem & EpisodeModel>>>;
+    fullSchedule(options?: RequestOptions): Promise<Out<M, ScheduleItem[], ScheduleModel[]>>;
+    fullScheduleStream(options?: RequestOptions): ItemStream<Out<M, ScheduleItem, ScheduleModel>>;
+
+    show<E extends Array<keyof ShowEmbeds> = []>(showid: number | string, embed?: E | null, options?: RequestOptions): Promise<Out<M, WithEmbedded<Show, ShowEmbeds, E>, WithEmbedded<ShowModel, ShowEmbeds, E>>>;
+    episodes(showid: number | string, specials?: boolean, options?: RequestOptions): Promise<Out<M, Episode[], EpisodeModel[]>>;
+    episode(showid: number | string, season: number, episode: number, options?: RequestOptions): Promise<Out<M, Episode, EpisodeModel>>;
+    episodesByDate(showid: number | string, date: string, options?: RequestOptions): Promise<Out<M, Episode[], EpisodeModel[]>>;
+    episodeById<E extends Array<keyof EpisodeEmbeds> = []>(episodeid: number | string, embed?: E | null, options?: RequestOptions): Promise<Out<M, WithEmbedded<Episode, EpisodeEmbeds, E>, WithEmbedded<EpisodeModel, EpisodeEmbeds, E>>>;
+    episodeGuestCast(episodeid: number | string, options?: RequestOptions): Promise<Out<M, CastMember[], Array<CastMember & { person: PersonModel }>>>;
+    episodeGuestCrew(episodeid: number | string, options?: RequestOptions): Promise<Out<M, CrewMember[], Array<CrewMember & { person: PersonModel }>>>;
+    seasons(showid: number | string, options?: RequestOptions): Promise<Season[]>;
+    seasonEpisodes(seasonid: number | string, options?: RequestOptions): Promise<Out<M, Episode[], EpisodeModel[]>>;
+    cast(showid: number | string, options?: RequestOptions): Promise<Out<M, CastMember[], Array<CastMember & { person: PersonModel }>>>;
+    crew(showid: number | string, options?: RequestOptions): Promise<Out<M, CrewMember[], Array<CrewMember & { person: PersonModel }>>>;
+    aliases(showid: number | string, options?: RequestOptions): Promise<Alias[]>;
+    showImages(showid: number | string, options?: RequestOptions): Promise<ShowImage[]>;
+    bestImage(images: ShowImage[], type: string, size?: 'original' | 'medium'): BestImage | null;
+    showsIndex(page?: number, options?: RequestOptions): Promise<Out<M, Show[], ShowModel[]>>;
+    showsIndexStream(page?: number, options?: RequestOptions): ItemStream<Out<M, Show, ShowModel>>;
+    iterateShows(params?: IterateParams, options?: RequestOptions): AsyncIterable<Out<M, Show, ShowModel>>;
+    showUpdates(options?: UpdateOptions): Promise<Updates>;
+    showsChangedSince(timestamp: Date | number, options?: RequestOptions): Promise<number[]>;
+    syncShows(params: SyncParams, options?: RequestOptions): Promise<SyncSummary>;
+    showsCalendar(showids: number | string | Array<number | string>, params?: ShowsCalendarParams, options?: RequestOptions): Promise<string>;
+    toICalendar(episodes: Array<Episode & { show?: Show }>, params?: CalendarParams): string;
+
+    person<E extends Array<keyof PersonEmbeds> = []>(personid: number | string, embed?: E | null, options?: RequestOptions): Promise<Out<M, WithEmbedded<Person, PersonEmbeds, E>, WithEmbedded<PersonModel, PersonEmbeds, E>>>;
+    personCastCredits<E extends Array<keyof CastCreditEmbeds> = []>(personid: number | string, embed?: E | null, options?: RequestOptions): Promise<Array<WithEmbedded<CastCredit, CastCreditEmbeds, E>>>;
+    personCrewCredits<E extends Array<keyof CrewCreditEmbeds> = []>(personid: number | string, embed?: E | null, options?: RequestOptions): Promise<Array<WithEmbedded<CrewCredit, CrewCreditEmbeds, E>>>;
+    personGuestCastCredits<E extends Array<keyof GuestCastCreditEmbeds> = []>(personid: number | string, embed?: E | null, options?: RequestOptions): Promise<Array<WithEmbedded<GuestCastCredit, GuestCastCreditEmbeds, E>>>;
+    character(characterid: number | string, options?: RequestOptions): Promise<Character>;
+    peopleUpdates(options?: UpdateOptions): Promise<Updates>;
+    peopleChangedSince(timestamp: Date | number, options?: RequestOptions): Promise<number[]>;
+    peopleIndex(page?: number, options?: RequestOptions): Promise<Out<M, Person[], PersonModel[]>>;
+    peopleIndexStream(page?: number, options?: RequestOptions): ItemStream<Out<M, Person, PersonModel>>;
+    iteratePeople(params?: IterateParams, options?: RequestOptions): AsyncIterable<Out<M, Person, PersonModel>>;
+
+    followedShows(embed?: Array<'show'> | null, options?: RequestOptions): Promise<FollowedShow[]>;
+    followedShow(showid: number | string, options?: RequestOptions): Promise<FollowedShow>;
+    followShow(showid: number | string, options?: RequestOptions): Promise<FollowedShow>;
+    unfollowShow(showid: number | string, options?: RequestOptions): Promise<void>;
+    followedPeople(embed?: Array<'person'> | null, options?: RequestOptions): Promise<FollowedPerson[]>;
+    followedPerson(personid: number | string, options?: RequestOptions): Promise<FollowedPerson>;
+    followPerson(personid: number | string, options?: RequestOptions): Promise<FollowedPerson>;
+    unfollowPerson(personid: number | string, options?: RequestOptions): Promise<void>;
+    followedNetworks(embed?: Array<'network'> | null, options?: RequestOptions): Promise<FollowedNetwork[]>;
+    followedNetwork(networkid: number | string, options?: RequestOptions): Promise<FollowedNetwork>;
+    followNetwork(networkid: number | string, options?: RequestOptions): Promise<FollowedNetwork>;
+    unfollowNetwork(networkid: number | string, options?: RequestOptions): Promise<void>;
+    followedWebChannels(embed?: Array<'webchannel'> | null, options?: RequestOptions): Promise<FollowedWebChannel[]>;
+    followedWebChannel(webchannelid: number | string, options?: RequestOptions): Promise<FollowedWebChannel>;
+    followWebChannel(webchannelid: number | string, options?: RequestOptions): Promise<FollowedWebChannel>;
+    unfollowWebChannel(webchannelid: number | string, options?: RequestOptions): Promise<void>;
+    markedEpisodes(showid?: number | string | null, options?: RequestOptions): Promise<MarkedEpisode[]>;
+    markedEpisode(episodeid: number | string, options?: RequestOptions): Promise<MarkedEpisode>;
+    markEpisode(episodeid: number | string, type?: 'watched' | 'acquired' | 'skipped' | 0 | 1 | 2, markedAt?: Date | number | null, options?: RequestOptions): Promise<MarkedEpisode>;
+    unmarkEpisode(episodeid: number | string, options?: RequestOptions): Promise<void>;
+    showVotes(options?: RequestOptions): Promise<ShowVote[]>;
+    showVote(showid: number | string, options?: RequestOptions): Promise<ShowVote>;
+    voteShow(showid: number | string, vote: number, options?: RequestOptions): Promise<ShowVote>;
+    unvoteShow(showid: number | string, options?: RequestOptions): Promise<void>;
+    episodeVotes(options?: RequestOptions): Promise<EpisodeVote[]>;
+    episodeVote(episodeid: number | string, options?: RequestOptions): Promise<EpisodeVote>;
+    voteEpisode(episodeid: number | string, vote: number, options?: RequestOptions): Promise<EpisodeVote>;
+    unvoteEpisode(episodeid: number | string, options?: RequestOptions): Promise<void>;
+
+    sendRequest<T = unknown>(path: string, options?: RequestOptions & { query?: object | null }): Promise<T>;
+
+    MemoryStore: MemoryStoreConstructor;
+    FileStore: FileStoreConstructor;
+    Sync: SyncConstructor;
+    DirectoryStore: DirectoryStoreConstructor;
+
+    MockServer: MockServerConstructor;
+    recordTransport(dir: string, transport?: Transport): Transport;
+    replayTransport(dir: string): Transport;
+
+    Show: ModelConstructor<Show, ShowModel>;
+    Episode: ModelConstructor<Episode, EpisodeModel>;
+    Person: ModelConstructor<Person, PersonModel>;
+
+    TvmazeError: ErrorConstructor<TvmazeError>;
+    NotFoundError: ErrorConstructor<NotFoundError>;
+    UnauthorizedError: ErrorConstructor<UnauthorizedError>;
+    RateLimitError: ErrorConstructor<RateLimitError>;
+    NetworkError: ErrorConstructor<NetworkError>;
+    TimeoutError: ErrorConstructor<TimeoutError>;
+    AbortError: ErrorConstructor<AbortError>;
+    CassetteError: ErrorConstructor<CassetteError>;
+  }
+}
@@ -4,14 +4,40 @@
 
 // Imports
 const url = require('url');
-const request = require('request-promise');
+const EventEmitter = require('events');
+const transport = require('./lib/transport');
+const Scheduler = require('./lib/scheduler');
+const retry = require('./lib/retry');
+const errors = require('./lib/errors');
+const Cache = require('./lib/cache');
+const paginate = require('./lib/paginate');
+const images = require('./lib/images');
+const updates = require('./lib/updates');
+const Sync = require('./lib/sync');
+const abort = require('./lib/abort');
+const ArrayParser = require('./lib/json-stream');
+const models = require('./lib/models');
+const ical = require('./lib/ical');
+const cassette = require('./lib/cassette');
 
 // Default Vars
 const BASE_URL = 'api.tvmaze.com/';
 const VERSION = require('./package.json').version;
 const DEFAULT_OPTIONS = {
+  baseUrl: BASE_URL,
   https: true,
+  rateLimit: {
+    limit: 20,
+    interval: 10000,
+    concurrency: 5
+  },
+  retry: {
+    retries: 3
+  },
+  transport: transport.httpTransport,
+  cache: false,
   header: {
+    'Accept': 'application/json',
     'User-Agent': `node-tvmaze/${VERSION}`
   }
 }
@@ -234,7 +260,7 @@ const Tvmaze = {
   */
   schedule: function(countryCode, date, options){
     const query = {
-      countrycode: countryCode,
+      country: countryCode,
       date: date
     };
 
@@ -250,6 +276,77 @@ const Tvmaze = {
     );
   },
 
+  /**
+  *  Get the web/streaming schedule for a date, all countries when no country code is given
+  *  @param {string} [date] - ISO 8601 formatted date
+  *  @param {string} [countryCode] - ISO 3166-1 code of the country, empty string for global web channels only
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#web-schedule
+  *  @example
+  *    webSchedule("2019-03-23", "US").
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  webSchedule: function(date, countryCode, options){
+    const query = {
+      date: date,
+      country: countryCode
+    };
+
+    if(date === undefined) delete query.date;
+    if(countryCode === undefined) delete query.country;
+
+    return this.sendRequest(
+      `schedule/web`,
+      Object.assign(
+        {},
+        options,
+        {
+          query: query
+        }
+      )
+    );
+  },
+
+  /**
+  *  Get the TV and web/streaming schedule for a country and date as one list ordered by airstamp.
+  *  Web entries get a `show` property like TV entries
+  *  @param {string} [countryCode] - ISO 3166-1 code of the country
+  *  @param {string} [date] - ISO 8601 formatted date
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see schedule
+  *  @see webSchedule
+  *  @example
+  *    combinedSchedule("GB", "2019-03-23").
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  combinedSchedule: function(countryCode, date, options){
+    return Promise.all([
+      this.schedule(countryCode, date, options),
+      this.webSchedule(date, countryCode, options)
+    ]).then(results => {
+      const web = results[1].map(item => {
+        if(item.show || !item._embedded || !item._embedded.show) return item;
+        return Object.assign({ show: item._embedded.show }, item);
+      });
+
+      return results[0].concat(web).sort((a, b) => {
+        return (Date.parse(a.airstamp) || 0) - (Date.parse(b.airstamp) || 0);
+      });
+    });
+  },
+
   /**
   *  Get the every future episode known to TVmaze
   *  @param {Object} [options] - Url request options
@@ -271,6 +368,23 @@ const Tvmaze = {
     );
   },
 
+  /**
+  *  Stream every future episode known to TVmaze, episodes are parsed one by one as they download
+  *  @param {Object} [options] - Url request options
+  *  @return {stream.Readable} Object mode stream of episodes, also async iterable
+  *  @see https://www.tvmaze.com/api#full-schedule
+  *  @example
+  *    for await (const episode of fullScheduleStream()) {
+  *      console.log(episode.name);
+  *    }
+  */
+  fullScheduleStream: function(options){
+    return this.streamArray(
+      `schedule/full`,
+      options
+    );
+  },
+
   /**
   *  Get the main information for a show, supports embedding
   *  @param {number} showid - Tvmaze show ID
@@ -407,6 +521,84 @@ const Tvmaze = {
     )
   },
 
+  /**
+  *  Get information for an episode by its TVmaze ID, supports embedding
+  *  @param {number} episodeid - Tvmaze episode ID
+  *  @param {string[]} [embed] - Required embeds
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#episode-main-information
+  *  @see https://www.tvmaze.com/api#embedding
+  *  @example
+  *    episodeById(1, ['show']).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  episodeById: function(episodeid, embed, options){
+    const query = {
+      "embed[]": embed
+    };
+
+    return this.sendRequest(
+      `episodes/${episodeid}`,
+      Object.assign(
+        {},
+        options,
+        {
+          query: (embed) ? query : null
+        }
+      )
+    )
+  },
+
+  /**
+  *  Get guest cast for an episode
+  *  @param {number} episodeid - Tvmaze episode ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#episode-guest-cast
+  *  @example
+  *    episodeGuestCast(1).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  episodeGuestCast: function(episodeid, options){
+    return this.sendRequest(
+      `episodes/${episodeid}/guestcast`,
+      options
+    );
+  },
+
+  /**
+  *  Get guest crew for an episode
+  *  @param {number} episodeid - Tvmaze episode ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#episode-guest-crew
+  *  @example
+  *    episodeGuestCrew(1).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  episodeGuestCrew: function(episodeid, options){
+    return this.sendRequest(
+      `episodes/${episodeid}/guestcrew`,
+      options
+    );
+  },
+
   /**
   *  Get season list information
   *  @param {number} showid - Tvmaze show ID
@@ -518,6 +710,40 @@ const Tvmaze = {
     );
   },
 
+  /**
+  *  Get all images for a show, each with a type (poster, banner, background, ...) and resolutions
+  *  @param {number} showid - Tvmaze show ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#show-images
+  *  @see bestImage
+  *  @example
+  *    showImages(1).
+  *      then(response => {
+  *        console.log(bestImage(response, 'poster'));
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  showImages: function(showid, options){
+    return this.sendRequest(
+      `shows/${showid}/images`,
+      options
+    );
+  },
+
+  /**
+  *  Pick the best image of a type from a showImages response, main images first then largest
+  *  @param {Object[]} images - showImages response
+  *  @param {string} type - Image type, e.g. 'poster', 'banner', 'background'
+  *  @param {string} [size='original'] - Resolution, 'original' or 'medium'
+  *  @return {Object|null} { id, type, main, size, url, width, height }, null when no image of that type
+  *  @example
+  *    bestImage(images, 'background', 'original').url
+  */
+  bestImage: images.bestImage,
+
   /**
   *  Get the full list of shows and details on TVmaze (250 results per page, in ID order)
   *  @param {number} [page] - page number
@@ -551,12 +777,59 @@ const Tvmaze = {
   },
 
   /**
-  *  Get the full list of show IDs and last updated timestamp (ID order)
+  *  Stream one page of the shows index, shows are parsed one by one as they download
+  *  @param {number} [page] - page number
+  *  @param {Object} [options] - Url request options
+  *  @return {stream.Readable} Object mode stream of shows, also async iterable
+  *  @see https://www.tvmaze.com/api#show-index
+  *  @example
+  *    showsIndexStream(1).on('data', show => {
+  *      console.log(show.name);
+  *    })
+  */
+  showsIndexStream: function(page, options){
+    const query = {
+      "page": page
+    };
+
+    return this.streamArray(
+      `shows`,
+      Object.assign(
+        {},
+        options,
+        {
+          query: (page) ? query : null
+        }
+      )
+    )
+  },
+
+  /**
+  *  Iterate over every show on TVmaze across all index pages, stops at the terminating 404
+  *  @param {Object} [params] - Iteration options
+  *  @param {number} [params.startPage=0] - First index page
+  *  @param {number} [params.afterId] - Resume after the last seen show ID
+  *  @param {number} [params.concurrency=1] - Index pages requested at once
+  *  @param {Object} [options] - Url request options
+  *  @return {AsyncIterable} Async iterable of shows in ID order
+  *  @see https://www.tvmaze.com/api#show-index
+  *  @example
+  *    for await (const show of iterateShows({ afterId: 1000 })) {
+  *      console.log(show.name);
+  *    }
+  */
+  iterateShows: function(params, options){
+    return paginate(page => this.showsIndex(page, options), params);
+  },
+
+  /**
+  *  Get the list of show IDs and last updated timestamp (ID order)
   *  @param {Object} [options] - Url request options
+  *  @param {string} [options.since] - Only shows updated in the last 'day', 'week' or 'month'
   *  @return {Promise} Promise object of result data as JSON
   *  @see https://www.tvmaze.com/api#show-updates
   *  @example
-  *    showUpdates().
+  *    showUpdates({ since: 'day' }).
   *      then(response => {
   *        console.log(response);
   *      })
@@ -565,12 +838,115 @@ const Tvmaze = {
   *      })
   */
   showUpdates: function(options){
+    const query = {
+      "since": options && options.since
+    };
+
     return this.sendRequest(
       `updates/shows`,
-      options
+      Object.assign(
+        {},
+        options,
+        {
+          query: (query.since) ? query : null
+        }
+      )
     )
   },
 
+  /**
+  *  Get show IDs updated after a previous sync, using the smallest update feed that covers it
+  *  @param {Date|number} timestamp - Previous sync time, Date or unix timestamp in seconds or ms
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of changed show IDs in ID order
+  *  @see showUpdates
+  *  @example
+  *    showsChangedSince(lastSync).
+  *      then(ids => {
+  *        console.log(ids);
+  *      })
+  */
+  showsChangedSince: function(timestamp, options){
+    return this.showUpdates(
+      Object.assign({}, options, { since: updates.sinceWindow(timestamp) })
+    ).then(response => updates.changedSince(response, timestamp));
+  },
+
+  /**
+  *  Sync a local mirror of all shows. The first run crawls the shows index, later runs
+  *  refetch only changed shows. Resumes from the checkpoint file after a crash
+  *  @param {Object} params - Sync options
+  *  @param {Object} params.store - Mirror store with put(id, show) and remove(id), e.g. a DirectoryStore
+  *  @param {string} params.checkpoint - Checkpoint file path
+  *  @param {string[]} [params.embed] - Embeds fetched with each show, e.g. ['episodes', 'cast']
+  *  @param {number} [params.concurrency=5] - Shows fetched at once
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of the run summary { mode, stored, removed, syncedAt }
+  *  @example
+  *    syncShows({
+  *      store: new DirectoryStore({ dir: './mirror' }),
+  *      checkpoint: './mirror.json',
+  *      embed: ['episodes']
+  *    }).
+  *      then(summary => {
+  *        console.log(summary);
+  *      })
+  */
+  syncShows: function(params, options){
+    return new Sync(this, params, options).run();
+  },
+
+  /**
+  *  Build an iCalendar (.ics) feed of the upcoming episodes of shows
+  *  @param {number|number[]} showids - Tvmaze show IDs
+  *  @param {Object} [params] - Calendar options
+  *  @param {boolean} [params.nextOnly=false] - Only the next episode of each show, from the nextepisode embed
+  *  @param {Date|number} [params.from=now] - Only episodes airing from this time on
+  *  @param {string} [params.name] - Calendar name shown by clients
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of the calendar text
+  *  @see toICalendar
+  *  @example
+  *    showsCalendar([396, 82], { name: 'Team shows' }).
+  *      then(ics => {
+  *        fs.writeFileSync('shows.ics', ics);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  showsCalendar: function(showids, params, options){
+    const opts = Object.assign({ from: new Date() }, params);
+    const embed = (opts.nextOnly) ? 'nextepisode' : 'episodes';
+
+    return Promise.all([].concat(showids).map(showid => this.show(showid, [embed], options))).then(shows => {
+      const episodes = shows.map(show => {
+        const list = (show._embedded && show._embedded[embed]) || [];
+        const info = Object.assign({}, show);
+        delete info._embedded;
+
+        return [].concat(list).map(episode => Object.assign({}, episode, { show: info }));
+      });
+
+      return ical.toICalendar([].concat(...episodes), opts);
+    });
+  },
+
+  /**
+  *  Render episodes as an iCalendar (.ics) feed, one event per episode with a stable UID.
+  *  Works on schedule and fullSchedule results, whose entries carry their show
+  *  @param {Object[]} episodes - Episodes with a show field
+  *  @param {Object} [params] - Calendar options
+  *  @param {string|number|Array} [params.network] - Only shows on these networks or web channels, by name or ID
+  *  @param {Date|number} [params.from] - Only episodes airing from this time on
+  *  @param {string} [params.name] - Calendar name shown by clients
+  *  @return {string} Calendar text
+  *  @example
+  *    fullSchedule().
+  *      then(items => toICalendar(items, { network: ['HBO', 'Netflix'] }))
+  */
+  toICalendar: ical.toICalendar,
+
   /**
   *  Get all information for a person ID, Supports embed
   *  @param {number} personid - Person ID number
@@ -674,54 +1050,1259 @@ const Tvmaze = {
   },
 
   /**
-   * Send API request and return JSON
-   * @private
-   * @param {string} path - Url path postfix
-   * @param {Object} options - Url request options
-   * @return {Promise} Promise object of Json data
-   * @example
-   *   sendRequest("people/250/castcredits", {
-   *     query: {
-   *         embed: ['show']
-   *       }
-   *     })
-   *      .then(response => {
-   *        console.log(response);
-   *      })
-   *      .catch(error => {
-   *        console.log(error);
-   *      })
-   */
-  sendRequest: function(path, options){
-    // Merg default options and user options
-    const opts = Object.assign({}, DEFAULT_OPTIONS, options);
-    // Switch https/http based on user or default settings
-    const base_url = (opts.https) ? ("https://" + BASE_URL) : ("http://" + BASE_URL);
+  *  Get guest cast credits for a person ID, supports embedding
+  *  @param {number} personid - Person ID number
+  *  @param {string[]} [embed] - Embed options
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#person-guest-cast-credits
+  *  @see https://www.tvmaze.com/api#embedding
+  *  @example
+  *    personGuestCastCredits(37135, ['episode']).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  personGuestCastCredits: function(personid, embed, options){
+    const query = {
+      "embed[]": embed
+    };
 
-    // format Url
-    const requestUrl = base_url + url.format({
-      pathname: path,
-      query: opts.query
-    });
+    return this.sendRequest(
+      `people/${personid}/guestcastcredits`,
+      Object.assign(
+        {},
+        options,
+        {
+          query: (embed) ? query : null
+        }
+      )
+    )
+  },
+
+  /**
+  *  Get information for a character
+  *  @param {number} characterid - Tvmaze character ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#character-main-information
+  *  @example
+  *    character(1).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  character: function(characterid, options){
+    return this.sendRequest(
+      `characters/${characterid}`,
+      options
+    );
+  },
+
+  /**
+  *  Get the list of person IDs and last updated timestamp (ID order)
+  *  @param {Object} [options] - Url request options
+  *  @param {string} [options.since] - Only people updated in the last 'day', 'week' or 'month'
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#people-updates
+  *  @example
+  *    peopleUpdates({ since: 'week' }).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  peopleUpdates: function(options){
+    const query = {
+      "since": options && options.since
+    };
+
+    return this.sendRequest(
+      `updates/people`,
+      Object.assign(
+        {},
+        options,
+        {
+          query: (query.since) ? query : null
+        }
+      )
+    )
+  },
+
+  /**
+  *  Get person IDs updated after a previous sync, using the smallest update feed that covers it
+  *  @param {Date|number} timestamp - Previous sync time, Date or unix timestamp in seconds or ms
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of changed person IDs in ID order
+  *  @see peopleUpdates
+  *  @example
+  *    peopleChangedSince(lastSync).
+  *      then(ids => {
+  *        console.log(ids);
+  *      })
+  */
+  peopleChangedSince: function(timestamp, options){
+    return this.peopleUpdates(
+      Object.assign({}, options, { since: updates.sinceWindow(timestamp) })
+    ).then(response => updates.changedSince(response, timestamp));
+  },
+
+  /**
+  *  Get the full list of people on TVmaze (250 results per page, in ID order)
+  *  @param {number} [page] - page number
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#people-index
+  *  @example
+  *    peopleIndex(1).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  peopleIndex: function(page, options){
+    const query = {
+      "page": page
+    };
+
+    return this.sendRequest(
+      `people`,
+      Object.assign(
+        {},
+        options,
+        {
+          query: (page) ? query : null
+        }
+      )
+    )
+  },
+
+  /**
+  *  Stream one page of the people index, people are parsed one by one as they download
+  *  @param {number} [page] - page number
+  *  @param {Object} [options] - Url request options
+  *  @return {stream.Readable} Object mode stream of people, also async iterable
+  *  @see https://www.tvmaze.com/api#people-index
+  *  @example
+  *    peopleIndexStream(1).on('data', person => {
+  *      console.log(person.name);
+  *    })
+  */
+  peopleIndexStream: function(page, options){
+    const query = {
+      "page": page
+    };
+
+    return this.streamArray(
+      `people`,
+      Object.assign(
+        {},
+        options,
+        {
+          query: (page) ? query : null
+        }
+      )
+    )
+  },
+
+  /**
+  *  Iterate over every person on TVmaze across all index pages, stops at the terminating 404
+  *  @param {Object} [params] - Iteration options
+  *  @param {number} [params.startPage=0] - First index page
+  *  @param {number} [params.afterId] - Resume after the last seen person ID
+  *  @param {number} [params.concurrency=1] - Index pages requested at once
+  *  @param {Object} [options] - Url request options
+  *  @return {AsyncIterable} Async iterable of people in ID order
+  *  @see https://www.tvmaze.com/api#people-index
+  *  @example
+  *    for await (const person of iteratePeople({ startPage: 10 })) {
+  *      console.log(person.name);
+  *    }
+  */
+  iteratePeople: function(params, options){
+    return paginate(page => this.peopleIndex(page, options), params);
+  },
+
+  /**
+  *  Get the shows followed by the authenticated user, requires auth
+  *  @param {string[]} [embed] - Embed options
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    followedShows().
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  followedShows: function(embed, options){
+    const query = {
+      "embed[]": embed
+    };
+
+    return this.userRequest(
+      'GET',
+      `follows/shows`,
+      undefined,
+      Object.assign(
+        {},
+        options,
+        {
+          query: (embed) ? query : null
+        }
+      )
+    );
+  },
+
+  /**
+  *  Check if the authenticated user follows a show, rejects with NotFoundError when not, requires auth
+  *  @param {number} showid - Tvmaze show ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    followedShow(396).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  followedShow: function(showid, options){
+    return this.userRequest('GET', `follows/shows/${showid}`, undefined, options);
+  },
+
+  /**
+  *  Follow a show as the authenticated user, requires auth
+  *  @param {number} showid - Tvmaze show ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    followShow(396).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  followShow: function(showid, options){
+    return this.userRequest('PUT', `follows/shows/${showid}`, undefined, options);
+  },
+
+  /**
+  *  Unfollow a show as the authenticated user, requires auth
+  *  @param {number} showid - Tvmaze show ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise resolving once unfollowed
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    unfollowShow(396).
+  *      then(() => {
+  *        console.log('unfollowed');
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  unfollowShow: function(showid, options){
+    return this.userRequest('DELETE', `follows/shows/${showid}`, undefined, options);
+  },
+
+  /**
+  *  Get the persons followed by the authenticated user, requires auth
+  *  @param {string[]} [embed] - Embed options
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    followedPeople().
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  followedPeople: function(embed, options){
+    const query = {
+      "embed[]": embed
+    };
+
+    return this.userRequest(
+      'GET',
+      `follows/people`,
+      undefined,
+      Object.assign(
+        {},
+        options,
+        {
+          query: (embed) ? query : null
+        }
+      )
+    );
+  },
+
+  /**
+  *  Check if the authenticated user follows a person, rejects with NotFoundError when not, requires auth
+  *  @param {number} personid - Tvmaze person ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    followedPerson(37135).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  followedPerson: function(personid, options){
+    return this.userRequest('GET', `follows/people/${personid}`, undefined, options);
+  },
+
+  /**
+  *  Follow a person as the authenticated user, requires auth
+  *  @param {number} personid - Tvmaze person ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    followPerson(37135).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  followPerson: function(personid, options){
+    return this.userRequest('PUT', `follows/people/${personid}`, undefined, options);
+  },
+
+  /**
+  *  Unfollow a person as the authenticated user, requires auth
+  *  @param {number} personid - Tvmaze person ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise resolving once unfollowed
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    unfollowPerson(37135).
+  *      then(() => {
+  *        console.log('unfollowed');
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  unfollowPerson: function(personid, options){
+    return this.userRequest('DELETE', `follows/people/${personid}`, undefined, options);
+  },
+
+  /**
+  *  Get the networks followed by the authenticated user, requires auth
+  *  @param {string[]} [embed] - Embed options
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    followedNetworks().
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  followedNetworks: function(embed, options){
+    const query = {
+      "embed[]": embed
+    };
+
+    return this.userRequest(
+      'GET',
+      `follows/networks`,
+      undefined,
+      Object.assign(
+        {},
+        options,
+        {
+          query: (embed) ? query : null
+        }
+      )
+    );
+  },
+
+  /**
+  *  Check if the authenticated user follows a network, rejects with NotFoundError when not, requires auth
+  *  @param {number} networkid - Tvmaze network ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    followedNetwork(1).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  followedNetwork: function(networkid, options){
+    return this.userRequest('GET', `follows/networks/${networkid}`, undefined, options);
+  },
+
+  /**
+  *  Follow a network as the authenticated user, requires auth
+  *  @param {number} networkid - Tvmaze network ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    followNetwork(1).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  followNetwork: function(networkid, options){
+    return this.userRequest('PUT', `follows/networks/${networkid}`, undefined, options);
+  },
+
+  /**
+  *  Unfollow a network as the authenticated user, requires auth
+  *  @param {number} networkid - Tvmaze network ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise resolving once unfollowed
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    unfollowNetwork(1).
+  *      then(() => {
+  *        console.log('unfollowed');
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  unfollowNetwork: function(networkid, options){
+    return this.userRequest('DELETE', `follows/networks/${networkid}`, undefined, options);
+  },
+
+  /**
+  *  Get the web channels followed by the authenticated user, requires auth
+  *  @param {string[]} [embed] - Embed options
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    followedWebChannels().
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  followedWebChannels: function(embed, options){
+    const query = {
+      "embed[]": embed
+    };
+
+    return this.userRequest(
+      'GET',
+      `follows/webchannels`,
+      undefined,
+      Object.assign(
+        {},
+        options,
+        {
+          query: (embed) ? query : null
+        }
+      )
+    );
+  },
+
+  /**
+  *  Check if the authenticated user follows a web channel, rejects with NotFoundError when not, requires auth
+  *  @param {number} webchannelid - Tvmaze web channel ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    followedWebChannel(1).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  followedWebChannel: function(webchannelid, options){
+    return this.userRequest('GET', `follows/webchannels/${webchannelid}`, undefined, options);
+  },
+
+  /**
+  *  Follow a web channel as the authenticated user, requires auth
+  *  @param {number} webchannelid - Tvmaze web channel ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    followWebChannel(1).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  followWebChannel: function(webchannelid, options){
+    return this.userRequest('PUT', `follows/webchannels/${webchannelid}`, undefined, options);
+  },
+
+  /**
+  *  Unfollow a web channel as the authenticated user, requires auth
+  *  @param {number} webchannelid - Tvmaze web channel ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise resolving once unfollowed
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    unfollowWebChannel(1).
+  *      then(() => {
+  *        console.log('unfollowed');
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  unfollowWebChannel: function(webchannelid, options){
+    return this.userRequest('DELETE', `follows/webchannels/${webchannelid}`, undefined, options);
+  },
+
+  /**
+  *  Get the episodes marked by the authenticated user, requires auth
+  *  @param {number} [showid] - Only episodes of this Tvmaze show ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    markedEpisodes(396).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  markedEpisodes: function(showid, options){
+    const query = {
+      "show_id": showid
+    };
+
+    return this.userRequest(
+      'GET',
+      `episodes`,
+      undefined,
+      Object.assign(
+        {},
+        options,
+        {
+          query: (showid) ? query : null
+        }
+      )
+    );
+  },
+
+  /**
+  *  Get the authenticated user's mark for an episode, rejects with NotFoundError when unmarked, requires auth
+  *  @param {number} episodeid - Tvmaze episode ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    markedEpisode(1).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  markedEpisode: function(episodeid, options){
+    return this.userRequest('GET', `episodes/${episodeid}`, undefined, options);
+  },
+
+  /**
+  *  Mark an episode as watched, acquired or skipped, requires auth
+  *  @param {number} episodeid - Tvmaze episode ID
+  *  @param {string|number} [type='watched'] - 'watched', 'acquired', 'skipped' or the TVmaze type number 0-2
+  *  @param {Date|number} [markedAt] - When it was marked, Date or unix timestamp in seconds, defaults to now
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON, rejects with a TypeError for an unknown type
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    markEpisode(1, 'watched').
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  markEpisode: function(episodeid, type, markedAt, options){
+    const types = ['watched', 'acquired', 'skipped'];
+    const value = (type === undefined || type === null) ? 0 : (typeof type === 'number') ? type : types.indexOf(type);
+
+    // A typo must not mark the episode as watched
+    if(!Number.isInteger(value) || value < 0 || value >= types.length){
+      return Promise.reject(new TypeError(`Episode mark type must be one of ${types.join(', ')} or 0-${types.length - 1}, got ${JSON.stringify(type)}`));
+    }
+
+    const body = {
+      episode_id: Number(episodeid),
+      type: value,
+      marked_at: (markedAt !== undefined && markedAt !== null)
+        ? updates.toSeconds(markedAt)
+        : updates.toSeconds(new Date())
+    };
+
+    return this.userRequest('PUT', `episodes/${episodeid}`, body, options);
+  },
+
+  /**
+  *  Remove the authenticated user's mark for an episode, requires auth
+  *  @param {number} episodeid - Tvmaze episode ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise resolving once unmarked
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    unmarkEpisode(1).
+  *      then(() => {
+  *        console.log('unmarked');
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  unmarkEpisode: function(episodeid, options){
+    return this.userRequest('DELETE', `episodes/${episodeid}`, undefined, options);
+  },
+
+  /**
+  *  Get the authenticated user's show votes, requires auth
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    showVotes().
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  showVotes: function(options){
+    return this.userRequest('GET', `votes/shows`, undefined, options);
+  },
+
+  /**
+  *  Get the authenticated user's vote for a show, rejects with NotFoundError when not voted, requires auth
+  *  @param {number} showid - Tvmaze show ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    showVote(396).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  showVote: function(showid, options){
+    return this.userRequest('GET', `votes/shows/${showid}`, undefined, options);
+  },
+
+  /**
+  *  Vote for a show as the authenticated user, requires auth
+  *  @param {number} showid - Tvmaze show ID
+  *  @param {number} vote - Vote from 1 to 10
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    voteShow(396, 9).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  voteShow: function(showid, vote, options){
+    const body = {
+      show_id: Number(showid),
+      vote: vote
+    };
+
+    return this.userRequest('PUT', `votes/shows/${showid}`, body, options);
+  },
+
+  /**
+  *  Remove the authenticated user's vote for a show, requires auth
+  *  @param {number} showid - Tvmaze show ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise resolving once removed
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    unvoteShow(396).
+  *      then(() => {
+  *        console.log('removed');
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  unvoteShow: function(showid, options){
+    return this.userRequest('DELETE', `votes/shows/${showid}`, undefined, options);
+  },
+
+  /**
+  *  Get the authenticated user's episode votes, requires auth
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    episodeVotes().
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  episodeVotes: function(options){
+    return this.userRequest('GET', `votes/episodes`, undefined, options);
+  },
+
+  /**
+  *  Get the authenticated user's vote for an episode, rejects with NotFoundError when not voted, requires auth
+  *  @param {number} episodeid - Tvmaze episode ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    episodeVote(1).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  episodeVote: function(episodeid, options){
+    return this.userRequest('GET', `votes/episodes/${episodeid}`, undefined, options);
+  },
+
+  /**
+  *  Vote for an episode as the authenticated user, requires auth
+  *  @param {number} episodeid - Tvmaze episode ID
+  *  @param {number} vote - Vote from 1 to 10
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    voteEpisode(1, 8).
+  *      then(response => {
+  *        console.log(response);
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  voteEpisode: function(episodeid, vote, options){
+    const body = {
+      episode_id: Number(episodeid),
+      vote: vote
+    };
+
+    return this.userRequest('PUT', `votes/episodes/${episodeid}`, body, options);
+  },
+
+  /**
+  *  Remove the authenticated user's vote for an episode, requires auth
+  *  @param {number} episodeid - Tvmaze episode ID
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise resolving once removed
+  *  @see https://www.tvmaze.com/api#user-api
+  *  @example
+  *    unvoteEpisode(1).
+  *      then(() => {
+  *        console.log('removed');
+  *      })
+  *      .catch(error => {
+  *        console.log(error);
+  *      })
+  */
+  unvoteEpisode: function(episodeid, options){
+    return this.userRequest('DELETE', `votes/episodes/${episodeid}`, undefined, options);
+  },
+
+  /**
+  *  Send an authenticated user API request, responses are never cached
+  *  @private
+  *  @param {string} method - HTTP method, 'GET', 'PUT' or 'DELETE'
+  *  @param {string} path - Path below v1/user/
+  *  @param {Object} [body] - JSON request body
+  *  @param {Object} [options] - Url request options
+  *  @return {Promise} Promise object of result data as JSON
+  *  @see https://www.tvmaze.com/api#user-api
+  */
+  userRequest: function(method, path, body, options){
+    const opts = Object.assign({}, options);
+    const auth = opts.auth || this.defaults.auth;
+
+    if(!auth || !auth.username || !auth.apiKey){
+      return Promise.reject(new errors.UnauthorizedError(
+        `User API needs auth credentials { username, apiKey }: v1/user/${path}`,
+        { path: `v1/user/${path}`, query: opts.query || undefined }
+      ));
+    }
+
+    // HTTP basic auth with TVmaze username and API key, only sent to the user API
+    const credentials = Buffer.from(`${auth.username}:${auth.apiKey}`).toString('base64');
+
+    return this.sendRequest(
+      `v1/user/${path}`,
+      Object.assign(
+        opts,
+        {
+          method: method,
+          body: body,
+          cache: false,
+          header: Object.assign({}, opts.header, { 'Authorization': `Basic ${credentials}` })
+        }
+      )
+    );
+  },
+
+  /**
+  *  Request a JSON array and parse its elements while it downloads. Failed requests
+  *  destroy the stream with the same error the promise methods reject with.
+  *  With `models` every element is wrapped as it arrives
+  *  @private
+  *  @param {string} path - Url path postfix
+  *  @param {Object} [options] - Url request options
+  *  @return {stream.Readable} Object mode stream of array elements
+  */
+  streamArray: function(path, options){
+    const opts = Object.assign({}, options);
+    const wrap = (opts.models !== undefined) ? opts.models : this.defaults.models;
+    const parser = new ArrayParser((wrap) ? element => models.fromResponse(path, element, this) : undefined);
+    const fail = error => parser.destroy(error);
+
+    this.sendRequest(path, Object.assign(opts, { stream: true })).then(body => {
+      // Transports without streaming support hand back the whole body
+      if(!body || typeof body.pipe !== 'function'){
+        return parser.end((typeof body === 'string' || Buffer.isBuffer(body)) ? body : JSON.stringify(body));
+      }
+
+      // sendRequest types its own failures, only errors while downloading the body are left
+      body.on('error', error => fail(errors.fromNetworkError(error, path, opts.query)));
+      body.pipe(parser);
+
+      // Stop downloading when the consumer gives up early, e.g. breaks out of for await
+      parser.on('close', () => {
+        if(!parser.readableEnded) body.destroy();
+      });
+    }).catch(fail);
+
+    return parser;
+  },
+
+  /**
+  *  Add a middleware to the client, middleware run in the order they were added,
+  *  around every attempt of every request that is not answered from the cache.
+  *  A middleware is called with the transport request and a `next` function,
+  *  `next(req)` sends the request, optionally a changed copy, on down the chain
+  *  and resolves to the `{ status, headers, body }` response with a parsed body.
+  *  Returning a response without calling `next` answers the request directly.
+  *  @param {Function} middleware - `async (req, next) => response`
+  *  @return {Object} The client, for chaining
+  *  @example
+  *    client.use(async (req, next) => {
+  *      const response = await next(Object.assign({}, req, {
+  *        headers: Object.assign({}, req.headers, { 'X-Trace': 'abc' })
+  *      }));
+  *      console.log(req.method, req.path, response.status);
+  *      return response;
+  *    });
+  */
+  use: function(middleware){
+    if(typeof middleware !== 'function') throw new TypeError('Middleware must be a function');
+
+    this.middleware = (this.middleware || []).concat(middleware);
+
+    return this;
+  },
+
+  /**
+   * Send API request and return JSON
+   * @private
+   * @param {string} path - Url path postfix
+   * @param {Object} options - Url request options
+   * @return {Promise} Promise object of Json data, rejects with a TvmazeError
+   * @example
+   *   sendRequest("people/250/castcredits", {
+   *     query: {
+   *         embed: ['show']
+   *       }
+   *     })
+   *      .then(response => {
+   *        console.log(response);
+   *      })
+   *      .catch(error => {
+   *        console.log(error);
+   *      })
+   */
+  sendRequest: function(path, options){
+    // Merg client defaults and user options
+    const opts = mergeOptions(this.defaults, options);
+    // Switch https/http based on user or default settings
+    const base_url = resolveBaseUrl(opts.baseUrl, opts.https);
+
+    // format Url
+    const requestUrl = base_url + url.format({
+      pathname: path,
+      query: opts.query
+    });
 
     // Create Request options
     const requestOpts = {
-      method: 'GET',
-      uri: requestUrl,
-      json: true,
-      headers: opts.header
+      method: opts.method || 'GET',
+      url: requestUrl,
+      path: path,
+      headers: Object.assign({}, opts.header),
+      signal: opts.signal,
+      timeout: opts.timeout,
+      stream: Boolean(opts.stream)
+    }
+
+    // JSON request body, used by the user API
+    if(opts.body !== undefined){
+      requestOpts.body = JSON.stringify(opts.body);
+      requestOpts.headers['Content-Type'] = 'application/json';
+    }
+
+    // Record or replay through a per call cassette, client cassettes wrap the
+    // client transport in createClient
+    let sendTransport = opts.transport;
+
+    if(opts.cassette){
+      try {
+        sendTransport = cassette.cassetteTransport(opts.cassette, opts.transport);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+
+    // Hand a request through the middleware chain to the transport, each
+    // middleware gets the request and a next function resolving to the response
+    const middleware = (this.middleware || []).slice();
+    const dispatch = (req, attempt) => {
+      const started = Date.now();
+
+      this.emit('request', { request: req, attempt: attempt });
+
+      return Promise.resolve(sendTransport(req)).then(response => {
+        const result = {
+          status: response.status,
+          headers: lowerCaseKeys(response.headers),
+          body: (opts.stream) ? response.body : parseBody(response.body)
+        };
+
+        this.emit('response', Object.assign({ request: req, attempt: attempt, duration: Date.now() - started }, result));
+
+        return result;
+      });
+    };
+    const chain = (index, req, attempt) => (index < middleware.length)
+      ? Promise.resolve().then(() => middleware[index](req, next => chain(index + 1, next || req, attempt)))
+      : dispatch(req, attempt);
+
+    // Send a single attempt with extra headers, failures become typed errors.
+    // The guard enforces signal and timeout even for transports ignoring them
+    const send = (extraHeaders, attempt) => abort.guard(() => chain(
+      0,
+      Object.assign({}, requestOpts, {
+        headers: Object.assign({}, requestOpts.headers, extraHeaders)
+      }),
+      attempt
+    ), opts.signal, opts.timeout).then(response => {
+      const headers = lowerCaseKeys(response.headers);
+
+      if(response.status >= 400){
+        return readBody(response.body).then(body => {
+          throw errors.fromResponse({ status: response.status, headers: headers }, parseBody(body), path, opts.query);
+        });
+      }
+
+      // Bodies were parsed before reaching the middleware
+      return { status: response.status, headers: headers, body: response.body };
+    }, error => {
+      throw errors.fromNetworkError(error, path, opts.query);
+    });
+
+    // Each attempt waits its turn in the client queue
+    const execute = (extraHeaders, attempt) => (this.scheduler)
+      ? this.scheduler.schedule(() => send(extraHeaders, attempt), opts.signal)
+      : send(extraHeaders, attempt);
+
+    // Execture request, retrying transient failures, aborts while queued or waiting become typed too
+    const started = Date.now();
+    const load = (extraHeaders) => retry.withRetry(
+      attempt => execute(extraHeaders, attempt),
+      requestOpts.method,
+      retry.retryOptions(opts.retry),
+      opts.signal,
+      (error, attempt, delay) => this.emit('retry', { error: error, path: path, query: opts.query, attempt: attempt, delay: delay })
+    ).catch(error => {
+      const failure = errors.fromNetworkError(error, path, opts.query);
+
+      // An unhandled 'error' event would throw, only emit it to listeners
+      if(this.listenerCount('error') > 0){
+        this.emit('error', { error: failure, path: path, query: opts.query, duration: Date.now() - started });
+      }
+
+      throw failure;
+    });
+
+    if(opts.signal && opts.signal.aborted){
+      return Promise.reject(errors.fromNetworkError(abort.abortError(), path, opts.query));
     }
 
-    // Execture request and return promise
-    return new Promise(function (resolve, reject) {
-      request(requestOpts).then(response => {
-        resolve(response);
-      })
-      .catch(error => {
-        reject(error.error);
-      })
+    // Wrap responses in Show, Episode and Person models when asked to, streamArray wraps streamed elements
+    const respond = (value) => (opts.models && !opts.stream) ? models.fromResponse(path, value, this) : value;
+
+    if(!this.cache || opts.cache === false || opts.stream || requestOpts.method !== 'GET'){
+      return load().then(response => respond(response.body));
+    }
+
+    // Serve fresh entries from the cache unless a refresh is forced,
+    // revalidate stale ones with their ETag / Last-Modified validators
+    const cache = this.cache;
+    const key = cache.key(path, opts.query, base_url);
+
+    return cache.get(key).catch(() => undefined).then(entry => {
+      if(entry && !opts.refresh && cache.isFresh(entry)) return respond(cache.value(entry));
+
+      return load(cache.validators(entry)).then(response => {
+        const notModified = response.status === 304 && entry;
+        const value = (notModified) ? entry.value : response.body;
+        // A 304 need not resend the validators, keep the stored ones then
+        const headers = (notModified)
+          ? Object.assign({ 'etag': entry.etag, 'last-modified': entry.lastModified }, response.headers)
+          : response.headers;
+
+        return cache.set(key, path, value, headers)
+          .catch(() => undefined)
+          .then(() => respond((notModified) ? cache.value(entry) : value));
+      });
     });
   }
 }
 
-module.exports = Tvmaze;
+// Clients emit request, response, retry and error events
+Object.setPrototypeOf(Tvmaze, EventEmitter.prototype);
+
+/**
+ * Merge two option objects, header values are merged rather than replaced
+ * @private
+ * @param {Object} base - Base options
+ * @param {Object} [options] - Options taking priority over base
+ * @return {Object} Merged options
+ */
+function mergeOptions(base, options){
+  const opts = Object.assign({}, base, options);
+
+  opts.header = Object.assign(
+    {},
+    base.header,
+    options && options.header,
+    options && options.headers
+  );
+  delete opts.headers;
+
+  if(options && options.userAgent) opts.header['User-Agent'] = options.userAgent;
+  delete opts.userAgent;
+
+  return opts;
+}
+
+/**
+ * Parse a JSON response body, other bodies are returned as they are
+ * @private
+ * @param {string|Buffer|Object} body - Response body from the transport
+ * @return {*} Parsed body
+ */
+function parseBody(body){
+  if(Buffer.isBuffer(body)) body = body.toString('utf8');
+  if(typeof body !== 'string') return body;
+  if(body === '') return undefined;
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+}
+
+/**
+ * Read a whole response body, streamed bodies are collected into a string
+ * @private
+ * @param {stream.Readable|string|Buffer|Object} body - Response body from the transport
+ * @return {Promise} Promise of the body, streams become strings
+ */
+function readBody(body){
+  if(!body || typeof body.pipe !== 'function') return Promise.resolve(body);
+
+  return new Promise(function (resolve, reject) {
+    const chunks = [];
+
+    body.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    body.on('error', reject);
+    body.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  });
+}
+
+/**
+ * Copy an object with all keys in lower case, used for response headers
+ * @private
+ * @param {Object} [object] - Object to copy
+ * @return {Object} Copy with lower case keys
+ */
+function lowerCaseKeys(object){
+  const result = {};
+
+  Object.keys(object || {}).forEach(key => {
+    result[key.toLowerCase()] = object[key];
+  });
+
+  return result;
+}
+
+/**
+ * Build the base url, a protocol in the base url takes priority over https option
+ * @private
+ * @param {string} baseUrl - Host and optional path, with or without protocol
+ * @param {boolean} https - Use https when no protocol given
+ * @return {string} Base url ending in a slash
+ */
+function resolveBaseUrl(baseUrl, https){
+  let base = baseUrl;
+
+  if(!/^https?:\/\//i.test(base)){
+    base = ((https) ? "https://" : "http://") + base;
+  }
+
+  return (base.endsWith('/')) ? base : base + '/';
+}
+
+/**
+ *  Create a new client instance with its own defaults
+ *  @param {Object} [config] - Client configuration, any request option can be given as a default
+ *  @param {string} [config.baseUrl] - API host or full url, e.g. 'http://localhost:8080/'
+ *  @param {boolean} [config.https=true] - Use https when baseUrl has no protocol
+ *  @param {Object} [config.headers] - Headers sent with every request
+ *  @param {string} [config.userAgent] - User-Agent header value
+ *  @param {Object|boolean} [config.rateLimit] - Request budget `{ limit, interval, concurrency }`, false disables queueing
+ *  @param {Object|boolean} [config.retry] - Retry options `{ retries, minDelay, maxDelay, factor, statusCodes }`, false disables retrying
+ *  @param {Function} [config.transport] - HTTP adapter, `(req) => Promise<{ status, headers, body }>`
+ *  @param {Object|boolean} [config.cache] - Response cache `{ store, ttl, defaultTtl }`, true uses an in-memory store
+ *  @param {Object} [config.auth] - User API credentials `{ username, apiKey }`
+ *  @param {number} [config.timeout] - Time in ms allowed per request attempt
+ *  @param {boolean} [config.models=false] - Return Show, Episode and Person models instead of plain JSON
+ *  @param {Object} [config.cassette] - Record or replay responses `{ dir, mode }`, mode 'record', 'replay' or 'auto'
+ *  @return {Object} Client with all API methods, an EventEmitter emitting
+ *    'request', 'response', 'retry' and 'error' events
+ *  @throws {TypeError} On a cassette without dir or with an unknown mode
+ *  @example
+ *    const local = createClient({ baseUrl: 'http://localhost:8080/' });
+ *    local.show(396).
+ *      then(response => {
+ *        console.log(response);
+ *      })
+ */
+function createClient(config){
+  const client = Object.create(Tvmaze);
+
+  EventEmitter.call(client);
+  client.middleware = [];
+  client.defaults = mergeOptions(DEFAULT_OPTIONS, config);
+
+  // Build the cassette once, a bad cassette config throws here rather than on every call
+  if(client.defaults.cassette){
+    client.defaults.transport = cassette.cassetteTransport(client.defaults.cassette, client.defaults.transport);
+    delete client.defaults.cassette;
+  }
+
+  client.scheduler = (client.defaults.rateLimit) ? new Scheduler(client.defaults.rateLimit) : null;
+  client.cache = (client.defaults.cache) ? new Cache(client.defaults.cache) : null;
+
+  return client;
+}
+
+Tvmaze.createClient = createClient;
+
+// Cache stores
+Tvmaze.MemoryStore = Cache.MemoryStore;
+Tvmaze.FileStore = Cache.FileStore;
+
+// Mirror sync
+Tvmaze.Sync = Sync;
+Tvmaze.DirectoryStore = Sync.DirectoryStore;
+
+// Offline testing, the mock server is only loaded when used
+Object.defineProperty(Tvmaze, 'MockServer', {
+  enumerable: true,
+  get: () => require('./lib/mock-server')
+});
+Tvmaze.recordTransport = cassette.recordTransport;
+Tvmaze.replayTransport = cassette.replayTransport;
+
+// Models
+Tvmaze.Show = models.Show;
+Tvmaze.Episode = models.Episode;
+Tvmaze.Person = models.Person;
+
+// Error classes for instanceof checks
+Tvmaze.TvmazeError = errors.TvmazeError;
+Tvmaze.NotFoundError = errors.NotFoundError;
+Tvmaze.UnauthorizedError = errors.UnauthorizedError;
+Tvmaze.RateLimitError = errors.RateLimitError;
+Tvmaze.NetworkError = errors.NetworkError;
+Tvmaze.TimeoutError = errors.TimeoutError;
+Tvmaze.AbortError = errors.AbortError;
+Tvmaze.CassetteError = errors.CassetteError;
+
+module.exports = createClient();
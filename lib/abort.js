@@ -0,0 +1,100 @@
+/*!
+    LICENSE
+ */
+
+/**
+ * Error for an aborted request, shaped like the DOM AbortError
+ * @param {string} [message] - Error message
+ * @return {Error} Error named AbortError with code ABORT_ERR
+ */
+function abortError(message){
+  const error = new Error(message || 'The request was aborted');
+
+  error.name = 'AbortError';
+  error.code = 'ABORT_ERR';
+  return error;
+}
+
+/**
+ * Error for a request that ran past its timeout
+ * @param {number} timeout - Timeout in ms
+ * @return {Error} Error with code ETIMEDOUT
+ */
+function timeoutError(timeout){
+  const error = new Error(`Request timed out after ${timeout}ms`);
+
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+/**
+ * Call back once a signal aborts
+ * @param {AbortSignal} [signal] - Abort signal
+ * @param {Function} callback - Called on abort
+ * @return {Function} Removes the listener
+ */
+function onAbort(signal, callback){
+  if(!signal) return () => {};
+
+  signal.addEventListener('abort', callback);
+  return () => signal.removeEventListener('abort', callback);
+}
+
+/**
+ * Reject a promise early when a signal aborts or a timeout passes
+ * @param {Function} start - Function returning the promise to guard
+ * @param {AbortSignal} [signal] - Abort signal
+ * @param {number} [timeout] - Timeout in ms
+ * @return {Promise} Promise settling with the first of result, abort or timeout
+ */
+function guard(start, signal, timeout){
+  if(signal && signal.aborted) return Promise.reject(abortError());
+  if(!signal && !timeout) return Promise.resolve().then(start);
+
+  return new Promise(function (resolve, reject) {
+    const timer = (timeout) ? setTimeout(() => finish(reject, timeoutError(timeout)), timeout) : null;
+    const removeListener = onAbort(signal, () => finish(reject, abortError()));
+
+    function finish(settle, value){
+      clearTimeout(timer);
+      removeListener();
+      settle(value);
+    }
+
+    Promise.resolve().then(start).then(
+      value => finish(resolve, value),
+      error => finish(reject, error)
+    );
+  });
+}
+
+/**
+ * Wait, stopping early with an AbortError when the signal aborts
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} [signal] - Abort signal
+ * @return {Promise} Promise resolving after the delay
+ */
+function delay(ms, signal){
+  if(signal && signal.aborted) return Promise.reject(abortError());
+
+  return new Promise(function (resolve, reject) {
+    const timer = setTimeout(() => {
+      removeListener();
+      resolve();
+    }, ms);
+
+    const removeListener = onAbort(signal, () => {
+      clearTimeout(timer);
+      removeListener();
+      reject(abortError());
+    });
+  });
+}
+
+module.exports = {
+  abortError: abortError,
+  timeoutError: timeoutError,
+  onAbort: onAbort,
+  guard: guard,
+  delay: delay
+};
@@ -0,0 +1,225 @@
+/*!
+    LICENSE
+ */
+
+// Imports
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const querystring = require('querystring');
+const util = require('util');
+const endpoints = require('./endpoints');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const unlink = util.promisify(fs.unlink);
+const mkdir = util.promisify(fs.mkdir);
+
+// Default Vars
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * In-memory store dropping the least recently used entry when full.
+ *
+ * A store is any object with `get(key)`, `set(key, entry)` and `delete(key)`
+ * methods returning promises (or plain values), entries are JSON-safe objects.
+ */
+class MemoryStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {number} [options.max=500] - Maximum number of entries
+   */
+  constructor(options){
+    this.max = (options && options.max) || 500;
+    this.entries = new Map();
+  }
+
+  get(key){
+    const entry = this.entries.get(key);
+
+    // Move to the back of the map, the front is evicted first
+    if(entry !== undefined){
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+
+    return Promise.resolve(entry);
+  }
+
+  set(key, entry){
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while(this.entries.size > this.max){
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    return Promise.resolve();
+  }
+
+  delete(key){
+    this.entries.delete(key);
+    return Promise.resolve();
+  }
+
+  clear(){
+    this.entries.clear();
+    return Promise.resolve();
+  }
+}
+
+/**
+ * File system store, one JSON file per entry
+ */
+class FileStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.dir] - Cache directory, defaults to node-tvmaze in the OS temp directory
+   */
+  constructor(options){
+    this.dir = (options && options.dir) || path.join(os.tmpdir(), 'node-tvmaze');
+    this.ready = null;
+  }
+
+  file(key){
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  get(key){
+    return readFile(this.file(key), 'utf8')
+      .then(data => {
+        const stored = JSON.parse(data);
+        return (stored.key === key) ? stored.entry : undefined;
+      })
+      .catch(() => undefined);
+  }
+
+  set(key, entry){
+    if(!this.ready) this.ready = mkdir(this.dir, { recursive: true });
+
+    return this.ready.then(() => writeFile(
+      this.file(key),
+      JSON.stringify({ key: key, entry: entry })
+    ));
+  }
+
+  delete(key){
+    return unlink(this.file(key)).catch(() => undefined);
+  }
+}
+
+/**
+ * Response cache keyed on request url
+ */
+class Cache {
+  /**
+   * @param {Object|boolean} [config] - Cache options, true uses all defaults
+   * @param {Object} [config.store] - Store instance, defaults to a MemoryStore
+   * @param {Object} [config.ttl] - TTL in ms by endpoint (method) name, e.g. { schedule: 60000 }
+   * @param {number} [config.defaultTtl] - TTL for paths without an endpoint rule
+   */
+  constructor(config){
+    const opts = (typeof config === 'object') ? config : {};
+
+    this.store = opts.store || new MemoryStore();
+    this.ttls = Object.assign({}, opts.ttl);
+    this.defaultTtl = (opts.defaultTtl !== undefined) ? opts.defaultTtl : HOUR;
+  }
+
+  /**
+   * Cache key for a request, stores shared by clients on other base urls
+   * never serve each other's responses
+   * @param {string} path - Request path
+   * @param {Object} [query] - Request query
+   * @param {string} [baseUrl] - Resolved base url, e.g. 'https://api.tvmaze.com/'
+   * @return {string} Key
+   */
+  key(path, query, baseUrl){
+    const qs = (query) ? querystring.stringify(query) : '';
+    const url = (baseUrl || '') + path;
+
+    return (qs) ? `${url}?${qs}` : url;
+  }
+
+  /**
+   * TTL for a request path
+   * @param {string} path - Request path
+   * @return {number} TTL in ms
+   */
+  ttl(path){
+    const endpoint = endpoints.find(path);
+
+    if(!endpoint) return this.defaultTtl;
+    return (this.ttls[endpoint.name] !== undefined) ? this.ttls[endpoint.name] : endpoint.ttl;
+  }
+
+  /**
+   * Read a cached entry, expired entries are kept for revalidation
+   * @param {string} key - Cache key
+   * @return {Promise} Promise of the entry { value, expires, etag, lastModified }, undefined on a miss
+   */
+  get(key){
+    return Promise.resolve().then(() => this.store.get(key)).then(entry => entry || undefined);
+  }
+
+  /**
+   * Check if an entry can be served without asking the server
+   * @param {Object} entry - Cached entry
+   * @return {boolean} True when not expired
+   */
+  isFresh(entry){
+    return entry.expires > Date.now();
+  }
+
+  /**
+   * Copy of an entry's value so callers can't change the cached value
+   * @param {Object} entry - Cached entry
+   * @return {*} Value
+   */
+  value(entry){
+    return JSON.parse(JSON.stringify(entry.value));
+  }
+
+  /**
+   * Conditional request headers for an entry
+   * @param {Object} [entry] - Cached entry
+   * @return {Object} If-None-Match and If-Modified-Since headers, empty without validators
+   */
+  validators(entry){
+    const headers = {};
+
+    if(entry && entry.etag) headers['If-None-Match'] = entry.etag;
+    if(entry && entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+    return headers;
+  }
+
+  /**
+   * Store a value along with its validators
+   * @param {string} key - Cache key
+   * @param {string} path - Request path, used to pick the TTL
+   * @param {*} value - Value to store
+   * @param {Object} [headers] - Lower case response headers holding etag and last-modified
+   * @return {Promise} Promise resolving once stored
+   */
+  set(key, path, value, headers){
+    const ttl = this.ttl(path);
+
+    if(ttl <= 0 || value === undefined) return Promise.resolve();
+
+    return Promise.resolve().then(() => this.store.set(key, {
+      value: value,
+      expires: Date.now() + ttl,
+      etag: (headers && headers['etag']) || undefined,
+      lastModified: (headers && headers['last-modified']) || undefined
+    }));
+  }
+}
+
+Cache.MemoryStore = MemoryStore;
+Cache.FileStore = FileStore;
+Cache.ENDPOINTS = endpoints.ENDPOINTS;
+
+module.exports = Cache;
@@ -0,0 +1,186 @@
+/*!
+    LICENSE
+ */
+
+// Imports
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
+const transport = require('./transport');
+const errors = require('./errors');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const mkdir = util.promisify(fs.mkdir);
+
+// Default Vars
+const MODES = ['record', 'replay', 'auto'];
+const REDACTED = ['authorization'];
+// Recordings always hold full responses, a replayed 304 would have nothing to refer to
+const CONDITIONAL = ['if-none-match', 'if-modified-since'];
+
+/**
+ * Request as it is recorded and matched
+ * @private
+ * @param {Object} req - Transport request, `path` is the API path when sent by the client
+ * @return {Object} { method, path, query, headers, body }
+ */
+function describe(req){
+  const parsed = new URL(req.url);
+  const query = {};
+
+  Array.from(parsed.searchParams.keys()).sort().forEach(key => {
+    const values = parsed.searchParams.getAll(key);
+    query[key] = (values.length > 1) ? values : values[0];
+  });
+
+  const headers = {};
+  Object.keys(req.headers || {}).forEach(name => {
+    headers[name] = (REDACTED.includes(name.toLowerCase())) ? '[redacted]' : req.headers[name];
+  });
+
+  return {
+    method: req.method,
+    path: (req.path !== undefined) ? req.path : parsed.pathname.replace(/^\/+/, ''),
+    query: query,
+    headers: headers,
+    body: parseJson(req.body)
+  };
+}
+
+/**
+ * File a request is recorded in, named after the method and path plus a hash
+ * of the method, path, query and body, e.g. 'GET-shows-396-3f2a9c1e.json'.
+ * Headers are recorded but not matched.
+ * @param {string} dir - Recording directory
+ * @param {Object} req - Transport request
+ * @return {string} File path
+ */
+function recordingFile(dir, req){
+  const request = describe(req);
+  const slug = request.path.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '') || 'root';
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify([request.method, request.path, request.query, request.body]))
+    .digest('hex')
+    .slice(0, 8);
+
+  return path.join(dir, `${request.method}-${slug}-${hash}.json`);
+}
+
+/**
+ * Transport recording to or replaying from a directory of JSON files.
+ *
+ * Modes:
+ * - 'record' sends every request and saves the response, replacing older recordings
+ * - 'replay' answers from recordings only, unrecorded requests reject with a CassetteError
+ * - 'auto' replays recorded requests and records the rest
+ *
+ * Streamed requests are recorded whole, the client parses them the same way.
+ * @param {Object} options - Cassette options
+ * @param {string} options.dir - Recording directory, created when missing
+ * @param {string} [options.mode='auto'] - 'record', 'replay' or 'auto'
+ * @param {Function} [inner] - Transport doing the requests, defaults to httpTransport
+ * @return {Function} Transport
+ * @throws {TypeError} On a missing directory or unknown mode
+ */
+function cassetteTransport(options, inner){
+  const opts = options || {};
+  const mode = opts.mode || 'auto';
+  const send = inner || transport.httpTransport;
+
+  if(!opts.dir) throw new TypeError('A cassette needs a dir');
+  if(!MODES.includes(mode)) throw new TypeError(`Cassette mode must be one of ${MODES.join(', ')}`);
+
+  const record = (req, file) => {
+    const headers = {};
+    Object.keys(req.headers || {})
+      .filter(name => !CONDITIONAL.includes(name.toLowerCase()))
+      .forEach(name => {
+        headers[name] = req.headers[name];
+      });
+
+    const sent = Object.assign({}, req, { headers: headers, stream: false });
+
+    return send(sent).then(response => {
+      const body = (Buffer.isBuffer(response.body)) ? response.body.toString('utf8') : response.body;
+      const recording = {
+        request: describe(sent),
+        response: { status: response.status, headers: response.headers, body: parseJson(body) }
+      };
+
+      return mkdir(opts.dir, { recursive: true })
+        .then(() => writeFile(file, JSON.stringify(recording, null, 2) + '\n'))
+        .then(() => Object.assign({}, response, { body: body }));
+    });
+  };
+
+  return (req) => {
+    const file = recordingFile(opts.dir, req);
+
+    if(mode === 'record') return record(req, file);
+
+    return readFile(file, 'utf8').then(data => {
+      const response = JSON.parse(data).response;
+      const body = response.body;
+
+      return {
+        status: response.status,
+        headers: response.headers || {},
+        body: (body !== null && typeof body === 'object') ? JSON.stringify(body) : body || ''
+      };
+    }, error => {
+      if(error.code !== 'ENOENT') throw error;
+      if(mode === 'auto') return record(req, file);
+
+      const request = describe(req);
+      throw new errors.CassetteError(
+        `No recording of ${request.method} ${request.path} ${JSON.stringify(request.query)} in ${opts.dir}, record it with mode 'record' or 'auto'`,
+        { path: request.path, query: request.query }
+      );
+    });
+  };
+}
+
+/**
+ * Transport saving every response to a JSON file while passing it through
+ * @param {string} dir - Recording directory, created when missing
+ * @param {Function} [inner] - Transport doing the requests, defaults to httpTransport
+ * @return {Function} Transport
+ * @example
+ *   const client = createClient({ transport: recordTransport('./recordings') });
+ */
+function recordTransport(dir, inner){
+  return cassetteTransport({ dir: dir, mode: 'record' }, inner);
+}
+
+/**
+ * Transport answering from files written by recordTransport, without any network.
+ * Requests that were never recorded reject with a CassetteError.
+ * @param {string} dir - Recording directory
+ * @return {Function} Transport
+ * @example
+ *   const client = createClient({ transport: replayTransport('./recordings') });
+ */
+function replayTransport(dir){
+  return cassetteTransport({ dir: dir, mode: 'replay' });
+}
+
+// JSON objects and arrays are stored parsed so recordings stay readable, anything else as text
+function parseJson(body){
+  if(typeof body !== 'string') return body;
+
+  try {
+    const value = JSON.parse(body);
+    return (value !== null && typeof value === 'object') ? value : body;
+  } catch (error) {
+    return body;
+  }
+}
+
+module.exports = {
+  recordingFile: recordingFile,
+  cassetteTransport: cassetteTransport,
+  recordTransport: recordTransport,
+  replayTransport: replayTransport
+};
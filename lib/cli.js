@@ -0,0 +1,555 @@
+/*!
+    LICENSE
+ */
+
+// Imports
+const Tvmaze = require('../index');
+
+// Default Vars
+const VERSION = require('../package.json').version;
+const OUTPUTS = ['table', 'json', 'ndjson'];
+const MAX_CELL = 40;
+
+// Flags taking a value, everything else starting with -- is a switch
+const VALUE_FLAGS = {
+  '-o': 'output',
+  '--output': 'output',
+  '--embed': 'embed',
+  '--base-url': 'baseUrl',
+  '-H': 'header',
+  '--header': 'header',
+  '--user-agent': 'userAgent',
+  '--timeout': 'timeout',
+  '--retries': 'retries',
+  '--rate-limit': 'rateLimit',
+  '--cache-dir': 'cacheDir',
+  '--username': 'username',
+  '--api-key': 'apiKey',
+  '--since': 'since',
+  '--start-page': 'startPage',
+  '--after-id': 'afterId',
+  '--concurrency': 'concurrency',
+  '--dir': 'dir',
+  '--checkpoint': 'checkpoint'
+};
+const SWITCHES = {
+  '-h': 'help',
+  '--help': 'help',
+  '--version': 'version',
+  '--http': 'http',
+  '--https': 'https',
+  '--no-retry': 'noRetry',
+  '--no-rate-limit': 'noRateLimit',
+  '--cache': 'cache',
+  '--specials': 'specials'
+};
+const REPEATED = ['embed', 'header'];
+
+/*
+ * Method arguments of each command. Plain names are required positionals,
+ * [names] optional ones, @names are built from flags:
+ *   @embed    --embed values
+ *   @specials --specials switch
+ *   @iterate  { startPage, afterId, concurrency } from flags
+ *   @sync     { store, checkpoint, embed, concurrency } from flags
+ */
+const COMMANDS = {
+  search: ['query'],
+  singleSearch: ['query', '@embed'],
+  searchPeople: ['query'],
+  lookup: ['type', 'id'],
+  lookupThetvdb: ['id'],
+  lookupImdb: ['id'],
+  lookupTvrage: ['id'],
+  schedule: ['[countryCode]', '[date]'],
+  webSchedule: ['[date]', '[countryCode]'],
+  combinedSchedule: ['[countryCode]', '[date]'],
+  fullSchedule: [],
+  show: ['showid', '@embed'],
+  episodes: ['showid', '@specials'],
+  episode: ['showid', 'season', 'episode'],
+  episodesByDate: ['showid', 'date'],
+  episodeById: ['episodeid', '@embed'],
+  episodeGuestCast: ['episodeid'],
+  episodeGuestCrew: ['episodeid'],
+  seasons: ['showid'],
+  seasonEpisodes: ['seasonid'],
+  cast: ['showid'],
+  crew: ['showid'],
+  aliases: ['showid'],
+  showImages: ['showid'],
+  showsIndex: ['[page]'],
+  iterateShows: ['@iterate'],
+  showUpdates: [],
+  showsChangedSince: ['timestamp'],
+  syncShows: ['@sync'],
+  person: ['personid', '@embed'],
+  personCastCredits: ['personid', '@embed'],
+  personCrewCredits: ['personid', '@embed'],
+  personGuestCastCredits: ['personid', '@embed'],
+  character: ['characterid'],
+  peopleUpdates: [],
+  peopleChangedSince: ['timestamp'],
+  peopleIndex: ['[page]'],
+  iteratePeople: ['@iterate'],
+  followedShows: ['@embed'],
+  followedShow: ['showid'],
+  followShow: ['showid'],
+  unfollowShow: ['showid'],
+  followedPeople: ['@embed'],
+  followedPerson: ['personid'],
+  followPerson: ['personid'],
+  unfollowPerson: ['personid'],
+  followedNetworks: ['@embed'],
+  followedNetwork: ['networkid'],
+  followNetwork: ['networkid'],
+  unfollowNetwork: ['networkid'],
+  followedWebChannels: ['@embed'],
+  followedWebChannel: ['webchannelid'],
+  followWebChannel: ['webchannelid'],
+  unfollowWebChannel: ['webchannelid'],
+  markedEpisodes: ['[showid]'],
+  markedEpisode: ['episodeid'],
+  markEpisode: ['episodeid', '[type]', '[markedAt]'],
+  unmarkEpisode: ['episodeid'],
+  showVotes: [],
+  showVote: ['showid'],
+  voteShow: ['showid', 'vote'],
+  unvoteShow: ['showid'],
+  episodeVotes: [],
+  episodeVote: ['episodeid'],
+  voteEpisode: ['episodeid', 'vote'],
+  unvoteEpisode: ['episodeid']
+};
+
+// Positionals the methods expect as numbers or dates rather than strings
+const CONVERT = {
+  type: value => (/^\d+$/.test(value)) ? Number(value) : value,
+  vote: value => toNumber(value, '<vote>'),
+  timestamp: toTime,
+  markedAt: toTime
+};
+
+// Array results streamed element by element in NDJSON mode
+const STREAMS = {
+  fullSchedule: 'fullScheduleStream',
+  showsIndex: 'showsIndexStream',
+  peopleIndex: 'peopleIndexStream'
+};
+
+const USAGE = `Usage: tvmaze <command> [arguments] [flags]
+
+Commands are the client method names, camelCase or kebab-case, e.g.
+  tvmaze search firefly
+  tvmaze show 396 --embed episodes
+  tvmaze schedule GB 2019-03-23
+  tvmaze lookup imdb tt2758770
+
+Output:
+  -o, --output <mode>    table, json or ndjson (table on a terminal, json otherwise)
+
+Client:
+  --base-url <url>       API host or full url
+  --http, --https        Protocol when the base url has none (https)
+  -H, --header <h>       Extra request header "Name: value", repeatable
+  --user-agent <ua>      User-Agent header
+  --timeout <ms>         Time allowed per request attempt
+  --retries <n>          Retries of transient failures (3)
+  --no-retry             Do not retry
+  --rate-limit <n>       Requests allowed per 10 seconds (20)
+  --no-rate-limit        Do not queue requests
+  --cache                Cache responses on disk, in the OS temp directory
+  --cache-dir <path>     Cache responses on disk in this directory
+  --username <name>      User API username, or TVMAZE_USERNAME
+  --api-key <key>        User API key, or TVMAZE_API_KEY
+
+Command flags:
+  --embed <name>         Embed, repeatable or comma separated
+  --specials             Include specials (episodes)
+  --since <period>       day, week or month (showUpdates, peopleUpdates)
+  --start-page <n>       First index page (iterateShows, iteratePeople)
+  --after-id <id>        Resume after this ID (iterateShows, iteratePeople)
+  --concurrency <n>      Pages or shows fetched at once
+  --dir <path>           Mirror directory (syncShows)
+  --checkpoint <file>    Checkpoint file (syncShows)
+
+Run "tvmaze help" for the list of commands.`;
+
+/**
+ * Split command line arguments into positionals and flags
+ * @param {string[]} argv - Arguments after the executable
+ * @return {Object} { positionals, flags }
+ * @throws {Error} On unknown flags or missing flag values
+ */
+function parseArgs(argv){
+  const positionals = [];
+  const flags = { embed: [], header: [] };
+
+  for(let i = 0; i < argv.length; i++){
+    const arg = argv[i];
+    const eq = (arg.startsWith('--')) ? arg.indexOf('=') : -1;
+    const name = (eq > -1) ? arg.slice(0, eq) : arg;
+
+    if(arg === '--'){
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if(VALUE_FLAGS[name]){
+      const value = (eq > -1) ? arg.slice(eq + 1) : argv[++i];
+      const key = VALUE_FLAGS[name];
+
+      if(value === undefined) throw new Error(`${name} needs a value`);
+      if(REPEATED.includes(key)) flags[key].push(value);
+      else flags[key] = value;
+    }else if(SWITCHES[name] && eq === -1){
+      flags[SWITCHES[name]] = true;
+    }else if(arg.length > 1 && arg[0] === '-' && isNaN(Number(arg))){
+      throw new Error(`Unknown flag ${arg}`);
+    }else{
+      positionals.push(arg);
+    }
+  }
+
+  flags.embed = [].concat(...flags.embed.map(value => value.split(','))).filter(Boolean);
+
+  return { positionals: positionals, flags: flags };
+}
+
+/**
+ * Resolve a command name, kebab-case names map to the camelCase method
+ * @param {string} name - Command as typed
+ * @return {string|undefined} Method name or undefined for unknown commands
+ */
+function commandName(name){
+  const camel = String(name).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+  return (Object.prototype.hasOwnProperty.call(COMMANDS, camel)) ? camel : undefined;
+}
+
+/**
+ * Client configuration from flags and environment
+ * @param {Object} flags - Parsed flags
+ * @param {Object} env - Environment variables
+ * @return {Object} createClient config
+ */
+function clientConfig(flags, env){
+  const config = {};
+  const username = flags.username || env.TVMAZE_USERNAME;
+  const apiKey = flags.apiKey || env.TVMAZE_API_KEY;
+
+  if(flags.baseUrl) config.baseUrl = flags.baseUrl;
+  if(flags.http) config.https = false;
+  if(flags.https) config.https = true;
+  if(flags.userAgent) config.userAgent = flags.userAgent;
+  if(flags.timeout !== undefined) config.timeout = toNumber(flags.timeout, '--timeout');
+  if(flags.retries !== undefined) config.retry = { retries: toNumber(flags.retries, '--retries') };
+  if(flags.noRetry) config.retry = false;
+  if(flags.rateLimit !== undefined) config.rateLimit = { limit: toNumber(flags.rateLimit, '--rate-limit') };
+  if(flags.noRateLimit) config.rateLimit = false;
+  if(flags.cache || flags.cacheDir) config.cache = { store: new Tvmaze.FileStore({ dir: flags.cacheDir }) };
+  if(username && apiKey) config.auth = { username: username, apiKey: apiKey };
+
+  if(flags.header.length){
+    config.headers = {};
+    flags.header.forEach(header => {
+      const colon = header.indexOf(':');
+
+      if(colon < 1) throw new Error(`Header "${header}" is not "Name: value"`);
+      config.headers[header.slice(0, colon).trim()] = header.slice(colon + 1).trim();
+    });
+  }
+
+  return config;
+}
+
+/**
+ * Method arguments for a command
+ * @param {string} command - Method name
+ * @param {string[]} positionals - Positional arguments after the command
+ * @param {Object} flags - Parsed flags
+ * @return {Array} Arguments, one per method parameter before options
+ * @throws {Error} On missing or extra positionals
+ */
+function commandArgs(command, positionals, flags){
+  const params = COMMANDS[command];
+  const rest = positionals.slice();
+  const args = params.map(param => {
+    if(param === '@embed') return (flags.embed.length) ? flags.embed : null;
+    if(param === '@specials') return Boolean(flags.specials);
+    if(param === '@iterate') return iterateParams(flags);
+    if(param === '@sync') return syncParams(flags);
+    const name = param.replace(/^\[|\]$/g, '');
+    const value = rest.shift();
+
+    if(value === undefined && name === param) throw new Error(`Missing <${param}>\nUsage: tvmaze ${commandUsage(command)}`);
+    return (value !== undefined && CONVERT[name]) ? CONVERT[name](value) : value;
+  });
+
+  if(rest.length) throw new Error(`Unexpected argument "${rest[0]}"\nUsage: tvmaze ${commandUsage(command)}`);
+
+  return args;
+}
+
+function iterateParams(flags){
+  const params = {};
+
+  if(flags.startPage !== undefined) params.startPage = toNumber(flags.startPage, '--start-page');
+  if(flags.afterId !== undefined) params.afterId = toNumber(flags.afterId, '--after-id');
+  if(flags.concurrency !== undefined) params.concurrency = toNumber(flags.concurrency, '--concurrency');
+
+  return params;
+}
+
+function syncParams(flags){
+  if(!flags.dir || !flags.checkpoint) throw new Error('syncShows needs --dir and --checkpoint');
+
+  return {
+    store: new Tvmaze.DirectoryStore({ dir: flags.dir }),
+    checkpoint: flags.checkpoint,
+    embed: (flags.embed.length) ? flags.embed : undefined,
+    concurrency: (flags.concurrency !== undefined) ? toNumber(flags.concurrency, '--concurrency') : undefined
+  };
+}
+
+function toNumber(value, flag){
+  const number = Number(value);
+
+  if(value === '' || isNaN(number)) throw new Error(`${flag} needs a number`);
+  return number;
+}
+
+// Unix timestamps in seconds or ms, or anything Date.parse understands
+function toTime(value){
+  if(/^\d+$/.test(value)) return Number(value);
+
+  const time = Date.parse(value);
+  if(isNaN(time)) throw new Error(`"${value}" is not a timestamp or date`);
+  return new Date(time);
+}
+
+/**
+ * One line usage of a command
+ * @param {string} command - Method name
+ * @return {string} e.g. 'show <showid> [--embed <name>]'
+ */
+function commandUsage(command){
+  const parts = COMMANDS[command].map(param => {
+    if(param === '@embed') return '[--embed <name>]';
+    if(param === '@specials') return '[--specials]';
+    if(param === '@iterate') return '[--start-page <n>] [--after-id <id>] [--concurrency <n>]';
+    if(param === '@sync') return '--dir <path> --checkpoint <file> [--embed <name>]';
+    return (param[0] === '[') ? param : `<${param}>`;
+  });
+
+  if(command === 'showUpdates' || command === 'peopleUpdates') parts.push('[--since <period>]');
+
+  return [command].concat(parts).join(' ');
+}
+
+/**
+ * Table columns for an item, shows, episodes, people and their wrappers
+ * get a short summary, other objects their scalar fields
+ * @param {Object} item - Result item
+ * @return {Object} Column name to cell value
+ */
+function columns(item){
+  if(!item || typeof item !== 'object') return { value: item };
+
+  if(item.score !== undefined && (item.show || item.person)){
+    return Object.assign({ score: item.score }, columns(item.show || item.person));
+  }
+
+  if(item.person && item.character){
+    return { person: item.person.name, character: item.character.name, self: item.self, voice: item.voice };
+  }
+
+  if(item.person && item.type){
+    return { type: item.type, person: item.person.name };
+  }
+
+  if('airstamp' in item || ('season' in item && 'number' in item)){
+    return {
+      id: item.id,
+      show: (item.show || (item._embedded && item._embedded.show) || {}).name,
+      season: item.season,
+      number: item.number,
+      name: item.name,
+      airstamp: item.airstamp
+    };
+  }
+
+  if('premiered' in item || 'genres' in item){
+    return {
+      id: item.id,
+      name: item.name,
+      type: item.type,
+      language: item.language,
+      status: item.status,
+      premiered: item.premiered,
+      network: (item.network || item.webChannel || {}).name
+    };
+  }
+
+  if('birthday' in item){
+    return { id: item.id, name: item.name, country: (item.country || {}).name, birthday: item.birthday };
+  }
+
+  const row = {};
+  Object.keys(item).forEach(key => {
+    const value = item[key];
+
+    if(key[0] === '_') return;
+    if(value === null || typeof value !== 'object') row[key] = value;
+    else if(value.name !== undefined) row[key] = value.name;
+  });
+
+  return row;
+}
+
+/**
+ * Render rows as an aligned text table
+ * @param {Object[]} rows - Column name to cell value objects
+ * @return {string} Table with a header line, empty for no rows
+ */
+function table(rows){
+  if(!rows.length) return '';
+
+  const names = [];
+  rows.forEach(row => Object.keys(row).forEach(name => {
+    if(!names.includes(name)) names.push(name);
+  }));
+
+  const cell = value => {
+    const text = (value === undefined || value === null) ? '' : String(value).replace(/\s+/g, ' ');
+    return (text.length > MAX_CELL) ? text.slice(0, MAX_CELL - 1) + '…' : text;
+  };
+  const lines = [names.map(name => name.toUpperCase())].concat(rows.map(row => names.map(name => cell(row[name]))));
+  const widths = names.map((name, i) => Math.max(...lines.map(line => line[i].length)));
+
+  return lines.map(line => line.map((text, i) => text.padEnd(widths[i])).join('  ').trimEnd()).join('\n') + '\n';
+}
+
+/**
+ * Format a result for output
+ * @param {*} result - Method result
+ * @param {string} output - 'table', 'json' or 'ndjson'
+ * @return {string} Text to write
+ */
+function format(result, output){
+  if(result === undefined) return '';
+
+  if(output === 'json') return JSON.stringify(result, null, 2) + '\n';
+  if(output === 'ndjson'){
+    return (Array.isArray(result)) ? result.map(item => JSON.stringify(item) + '\n').join('') : JSON.stringify(result) + '\n';
+  }
+
+  if(Array.isArray(result)) return table(result.map(columns));
+  if(result === null || typeof result !== 'object') return String(result) + '\n';
+
+  const row = columns(result);
+  return table(Object.keys(row).map(name => ({ field: name, value: row[name] })));
+}
+
+/**
+ * Write every element of a stream or async iterable as an NDJSON line
+ * @param {AsyncIterable} items - Items
+ * @param {Object} stdout - Writable
+ * @return {Promise} Resolves when all items are written
+ */
+async function writeLines(items, stdout){
+  for await (const item of items){
+    stdout.write(JSON.stringify(item) + '\n');
+  }
+}
+
+async function collect(items){
+  const all = [];
+
+  for await (const item of items){
+    all.push(item);
+  }
+
+  return all;
+}
+
+/**
+ * Run the command line interface
+ * @param {string[]} argv - Arguments after the executable, e.g. ['show', '396']
+ * @param {Object} io - { stdout, stderr, env }, usually `process`
+ * @return {Promise} Promise of the exit code, 0 on success, 1 for API errors, 2 for usage errors
+ * @example
+ *   run(['search', 'firefly', '-o', 'json'], process).then(code => {
+ *     process.exitCode = code;
+ *   });
+ */
+async function run(argv, io){
+  const stdout = io.stdout;
+  const stderr = io.stderr;
+  let parsed, command, args, client, output;
+
+  try{
+    parsed = parseArgs(argv);
+    const flags = parsed.flags;
+
+    if(flags.version){
+      stdout.write(VERSION + '\n');
+      return 0;
+    }
+
+    if(flags.help){
+      stdout.write(USAGE + '\n');
+      return 0;
+    }
+
+    if(!parsed.positionals.length){
+      stderr.write(USAGE + '\n');
+      return 2;
+    }
+
+    if(parsed.positionals[0] === 'help'){
+      stdout.write(Object.keys(COMMANDS).map(name => `  ${commandUsage(name)}`).join('\n') + '\n');
+      return 0;
+    }
+
+    command = commandName(parsed.positionals[0]);
+    if(!command) throw new Error(`Unknown command "${parsed.positionals[0]}", run "tvmaze help" for the list`);
+
+    output = flags.output || ((stdout.isTTY) ? 'table' : 'json');
+    if(!OUTPUTS.includes(output)) throw new Error(`Output must be one of ${OUTPUTS.join(', ')}`);
+
+    args = commandArgs(command, parsed.positionals.slice(1), flags);
+    client = Tvmaze.createClient(clientConfig(flags, io.env || {}));
+  }catch(error){
+    stderr.write(`tvmaze: ${error.message}\n`);
+    return 2;
+  }
+
+  const options = (parsed.flags.since) ? { since: parsed.flags.since } : {};
+  const stream = STREAMS[command];
+
+  try{
+    if(output === 'ndjson' && stream){
+      await writeLines(client[stream](...args, options), stdout);
+    }else if(command === 'iterateShows' || command === 'iteratePeople'){
+      const items = client[command](...args, options);
+
+      if(output === 'ndjson') await writeLines(items, stdout);
+      else stdout.write(format(await collect(items), output));
+    }else{
+      stdout.write(format(await client[command](...args, options), output));
+    }
+  }catch(error){
+    stderr.write(`tvmaze: ${error.message}\n`);
+    return 1;
+  }
+
+  return 0;
+}
+
+module.exports = {
+  run: run,
+  parseArgs: parseArgs,
+  format: format,
+  COMMANDS: COMMANDS
+};
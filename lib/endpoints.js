@@ -0,0 +1,55 @@
+/*!
+    LICENSE
+ */
+
+// Default Vars
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Endpoint name, path pattern and cache TTL in ms, first match wins
+const ENDPOINTS = [
+  { name: 'fullSchedule', pattern: /^schedule\/full$/, ttl: HOUR },
+  { name: 'schedule', pattern: /^schedule$/, ttl: 10 * MINUTE },
+  { name: 'webSchedule', pattern: /^schedule\/web$/, ttl: 10 * MINUTE },
+  { name: 'search', pattern: /^search\/shows$/, ttl: HOUR },
+  { name: 'singleSearch', pattern: /^singlesearch\/shows$/, ttl: HOUR },
+  { name: 'searchPeople', pattern: /^search\/people$/, ttl: HOUR },
+  { name: 'lookup', pattern: /^lookup\/shows$/, ttl: DAY },
+  { name: 'showUpdates', pattern: /^updates\/shows$/, ttl: 10 * MINUTE },
+  { name: 'peopleUpdates', pattern: /^updates\/people$/, ttl: 10 * MINUTE },
+  { name: 'showsIndex', pattern: /^shows$/, ttl: DAY },
+  { name: 'show', pattern: /^shows\/[^/]+$/, ttl: HOUR },
+  { name: 'episodes', pattern: /^shows\/[^/]+\/episodes$/, ttl: HOUR },
+  { name: 'episode', pattern: /^shows\/[^/]+\/episodebynumber$/, ttl: HOUR },
+  { name: 'episodesByDate', pattern: /^shows\/[^/]+\/episodesbydate$/, ttl: HOUR },
+  { name: 'episodeById', pattern: /^episodes\/[^/]+$/, ttl: HOUR },
+  { name: 'episodeGuestCast', pattern: /^episodes\/[^/]+\/guestcast$/, ttl: DAY },
+  { name: 'episodeGuestCrew', pattern: /^episodes\/[^/]+\/guestcrew$/, ttl: DAY },
+  { name: 'seasons', pattern: /^shows\/[^/]+\/seasons$/, ttl: HOUR },
+  { name: 'seasonEpisodes', pattern: /^seasons\/[^/]+\/episodes$/, ttl: HOUR },
+  { name: 'cast', pattern: /^shows\/[^/]+\/cast$/, ttl: DAY },
+  { name: 'crew', pattern: /^shows\/[^/]+\/crew$/, ttl: DAY },
+  { name: 'aliases', pattern: /^shows\/[^/]+\/akas$/, ttl: DAY },
+  { name: 'showImages', pattern: /^shows\/[^/]+\/images$/, ttl: DAY },
+  { name: 'peopleIndex', pattern: /^people$/, ttl: DAY },
+  { name: 'person', pattern: /^people\/[^/]+$/, ttl: DAY },
+  { name: 'personCastCredits', pattern: /^people\/[^/]+\/castcredits$/, ttl: DAY },
+  { name: 'personCrewCredits', pattern: /^people\/[^/]+\/crewcredits$/, ttl: DAY },
+  { name: 'personGuestCastCredits', pattern: /^people\/[^/]+\/guestcastcredits$/, ttl: DAY },
+  { name: 'character', pattern: /^characters\/[^/]+$/, ttl: DAY }
+];
+
+/**
+ * Find the endpoint rule matching a request path
+ * @param {string} path - Request path
+ * @return {Object|undefined} { name, pattern, ttl } or undefined for unknown paths
+ */
+function find(path){
+  return ENDPOINTS.find(rule => rule.pattern.test(path));
+}
+
+module.exports = {
+  ENDPOINTS: ENDPOINTS,
+  find: find
+};
@@ -0,0 +1,132 @@
+/*!
+    LICENSE
+ */
+
+// Imports
+const http = require('http');
+
+// Network error codes that mean the request timed out
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+/**
+ * Base class for every error the client rejects with
+ * @param {string} message - Error message
+ * @param {Object} [details] - Request details
+ * @param {number} [details.status] - HTTP status code, undefined when no response arrived
+ * @param {string} [details.path] - Request path
+ * @param {Object} [details.query] - Request query
+ * @param {*} [details.body] - Parsed response body
+ * @param {Object} [details.headers] - Response headers
+ * @param {Error} [details.cause] - Original error
+ */
+class TvmazeError extends Error {
+  constructor(message, details){
+    super(message);
+
+    const info = details || {};
+
+    this.name = this.constructor.name;
+    this.status = info.status;
+    this.path = info.path;
+    this.query = info.query;
+    this.body = info.body;
+    this.headers = info.headers;
+    this.cause = info.cause;
+  }
+}
+
+/**
+ * The requested resource does not exist, e.g. an unknown show ID or a lookup miss
+ */
+class NotFoundError extends TvmazeError {}
+
+/**
+ * Credentials are missing or wrong, TVmaze answered 401 on a user API call
+ */
+class UnauthorizedError extends TvmazeError {}
+
+/**
+ * TVmaze answered 429 Too Many Requests
+ */
+class RateLimitError extends TvmazeError {}
+
+/**
+ * No response arrived, e.g. DNS failure or connection reset
+ */
+class NetworkError extends TvmazeError {}
+
+/**
+ * The request took too long
+ */
+class TimeoutError extends NetworkError {}
+
+/**
+ * The request was cancelled through its AbortSignal
+ */
+class AbortError extends TvmazeError {}
+
+/**
+ * A replay cassette has no recording of the request
+ */
+class CassetteError extends TvmazeError {}
+
+/**
+ * Build a typed error for an HTTP error response
+ * @param {Object} response - Transport response, { status, headers }
+ * @param {*} body - Parsed response body
+ * @param {string} path - Request path
+ * @param {Object} [query] - Request query
+ * @return {TvmazeError} Typed error
+ */
+function fromResponse(response, body, path, query){
+  const status = response.status;
+  const message = `${status} ${http.STATUS_CODES[status] || 'Error'}: ${path}`;
+  const details = {
+    status: status,
+    path: path,
+    query: query || undefined,
+    body: body,
+    headers: response.headers
+  };
+
+  if(status === 401) return new UnauthorizedError(message, details);
+  if(status === 404) return new NotFoundError(message, details);
+  if(status === 429) return new RateLimitError(message, details);
+  return new TvmazeError(message, details);
+}
+
+/**
+ * Build a typed error for a request that got no response
+ * @param {Error} error - Error from the transport
+ * @param {string} path - Request path
+ * @param {Object} [query] - Request query
+ * @return {TvmazeError} Typed error
+ */
+function fromNetworkError(error, path, query){
+  if(error instanceof TvmazeError) return error;
+
+  const cause = error || {};
+  const message = `${cause.message || 'Request failed'}: ${path}`;
+  const details = {
+    path: path,
+    query: query || undefined,
+    cause: error
+  };
+
+  if(cause.name === 'AbortError' || cause.code === 'ABORT_ERR') return new AbortError(message, details);
+  if(TIMEOUT_CODES.indexOf(cause.code) !== -1) return new TimeoutError(message, details);
+  return new NetworkError(message, details);
+}
+
+module.exports = {
+  TvmazeError: TvmazeError,
+  NotFoundError: NotFoundError,
+  UnauthorizedError: UnauthorizedError,
+  RateLimitError: RateLimitError,
+  NetworkError: NetworkError,
+  TimeoutError: TimeoutError,
+  AbortError: AbortError,
+  CassetteError: CassetteError,
+  fromResponse: fromResponse,
+  fromNetworkError: fromNetworkError
+};
@@ -0,0 +1,190 @@
+/*!
+    LICENSE
+ */
+
+// Imports
+const models = require('./models');
+
+// Default Vars
+const VERSION = require('../package.json').version;
+const PRODID = `-//node-tvmaze//node-tvmaze ${VERSION}//EN`;
+const MAX_LINE = 75;
+
+/**
+ * Render episodes as an RFC 5545 calendar, one VEVENT per episode.
+ *
+ * Episodes need a `show` field for the event title, schedule and fullSchedule
+ * entries already have one. UIDs are derived from the episode ID, so
+ * importing a newer export updates the events in place.
+ * @param {Object[]} episodes - Episodes with their show
+ * @param {Object} [params] - Calendar options
+ * @param {string} [params.name] - Calendar name shown by clients
+ * @param {string|number|Array} [params.network] - Only shows on these networks or web channels, by name or ID
+ * @param {Date|number} [params.from] - Only episodes airing from this time on
+ * @param {Date} [params.now] - DTSTAMP of the events, defaults to now
+ * @return {string} iCalendar text with CRLF line endings
+ * @example
+ *   schedule('GB').then(items => toICalendar(items, { network: 'BBC One' }));
+ */
+function toICalendar(episodes, params){
+  const opts = params || {};
+  const stamp = formatTime(opts.now || new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if(opts.name) lines.push(`X-WR-CALNAME:${escapeText(opts.name)}`);
+
+  (episodes || [])
+    .filter(episode => episode && episode.id && (episode.airstamp || episode.airdate))
+    .filter(episode => onNetwork(episode.show, opts.network))
+    .filter(episode => airsFrom(episode, opts.from))
+    .forEach(episode => {
+      lines.push.apply(lines, eventLines(episode, stamp));
+    });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+/**
+ * VEVENT lines of an episode
+ * @private
+ * @param {Object} episode - Episode with its show
+ * @param {string} stamp - DTSTAMP value
+ * @return {string[]} Unfolded content lines
+ */
+function eventLines(episode, stamp){
+  const show = episode.show || {};
+  const runtime = episode.runtime || show.averageRuntime || show.runtime;
+  const channel = show.network || show.webChannel;
+  const summary = models.plainText(episode.summary);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:episode-${episode.id}@api.tvmaze.com`,
+    `DTSTAMP:${stamp}`
+  ];
+
+  // Episodes without an air time are all-day events
+  if(episode.airstamp){
+    const start = new Date(episode.airstamp);
+
+    lines.push(`DTSTART:${formatTime(start)}`);
+    if(runtime) lines.push(`DTEND:${formatTime(new Date(start.getTime() + runtime * 60 * 1000))}`);
+  }else{
+    lines.push(`DTSTART;VALUE=DATE:${episode.airdate.replace(/-/g, '')}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(title(episode))}`);
+  if(summary) lines.push(`DESCRIPTION:${escapeText(summary)}`);
+  if(channel && channel.name) lines.push(`LOCATION:${escapeText(channel.name)}`);
+  if(episode.url) lines.push(`URL:${episode.url}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Event title, e.g. 'Firefly S01E02 The Train Job'
+ * @private
+ * @param {Object} episode - Episode with its show
+ * @return {string} Title
+ */
+function title(episode){
+  const parts = [];
+  const pad = number => String(number).padStart(2, '0');
+
+  if(episode.show && episode.show.name) parts.push(episode.show.name);
+  if(episode.season != null && episode.number != null) parts.push(`S${pad(episode.season)}E${pad(episode.number)}`);
+  if(episode.name) parts.push(episode.name);
+
+  return parts.join(' ');
+}
+
+function onNetwork(show, network){
+  if(network === undefined || network === null) return true;
+
+  const channel = show && (show.network || show.webChannel);
+  if(!channel) return false;
+
+  return [].concat(network).some(wanted => (typeof wanted === 'number')
+    ? channel.id === wanted
+    : String(channel.name).toLowerCase() === String(wanted).toLowerCase());
+}
+
+function airsFrom(episode, from){
+  if(from === undefined || from === null) return true;
+
+  const time = (from instanceof Date) ? from.getTime() : Number(from);
+
+  // All-day episodes count until the end of their day
+  return (episode.airstamp)
+    ? Date.parse(episode.airstamp) >= time
+    : Date.parse(`${episode.airdate}T23:59:59Z`) >= time;
+}
+
+/**
+ * UTC DATE-TIME value
+ * @private
+ * @param {Date} date - Date
+ * @return {string} e.g. '20190323T010000Z'
+ */
+function formatTime(date){
+  return date.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+}
+
+/**
+ * Escape a TEXT value
+ * @private
+ * @param {string} text - Text
+ * @return {string} Escaped text
+ */
+function escapeText(text){
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into 75 octet chunks, never splitting a character
+ * @private
+ * @param {string} line - Content line
+ * @return {string} Folded line
+ */
+function fold(line){
+  if(Buffer.byteLength(line) <= MAX_LINE) return line;
+
+  const chunks = [];
+  let chunk = '';
+  let size = 0;
+
+  for(const char of line){
+    const bytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, leaving 74 octets
+    const limit = (chunks.length) ? MAX_LINE - 1 : MAX_LINE;
+
+    if(size + bytes > limit){
+      chunks.push(chunk);
+      chunk = '';
+      size = 0;
+    }
+
+    chunk += char;
+    size += bytes;
+  }
+
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+}
+
+module.exports = {
+  toICalendar: toICalendar
+};
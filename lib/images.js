@@ -0,0 +1,46 @@
+/*!
+    LICENSE
+ */
+
+/**
+ * Pick the best image of a type from a showImages response. Main images win,
+ * then the one with the largest resolution in the requested size.
+ * @param {Object[]} images - Images from showImages
+ * @param {string} type - Image type, e.g. 'poster', 'banner', 'background'
+ * @param {string} [size='original'] - Resolution name, 'original' or 'medium', falls back to the other when missing
+ * @return {Object|null} { id, type, main, size, url, width, height } or null when there is no image of that type
+ */
+function bestImage(images, type, size){
+  const wanted = size || 'original';
+
+  const candidates = (images || [])
+    .filter(image => image && image.type === type && image.resolutions)
+    .map(image => {
+      const resolutions = image.resolutions;
+      const name = (resolutions[wanted]) ? wanted : Object.keys(resolutions)[0];
+      const resolution = resolutions[name] || {};
+
+      return {
+        id: image.id,
+        type: image.type,
+        main: Boolean(image.main),
+        size: name,
+        url: resolution.url,
+        width: resolution.width,
+        height: resolution.height
+      };
+    })
+    .filter(image => image.url);
+
+  candidates.sort((a, b) => {
+    if(a.main !== b.main) return (a.main) ? -1 : 1;
+    if(a.size !== b.size) return (a.size === wanted) ? -1 : 1;
+    return ((b.width || 0) * (b.height || 0)) - ((a.width || 0) * (a.height || 0));
+  });
+
+  return candidates[0] || null;
+}
+
+module.exports = {
+  bestImage: bestImage
+};
@@ -0,0 +1,125 @@
+/*!
+    LICENSE
+ */
+
+// Imports
+const Transform = require('stream').Transform;
+const StringDecoder = require('string_decoder').StringDecoder;
+
+/**
+ * Transform stream parsing a JSON array, each element is pushed as an object
+ * once it is complete so only one element is held in memory at a time.
+ * null elements are skipped.
+ */
+class ArrayParser extends Transform {
+  /**
+   * @param {Function} [map] - Called with every element, its result is pushed instead
+   */
+  constructor(map){
+    super({ readableObjectMode: true });
+
+    this.map = map;
+    this.decoder = new StringDecoder('utf8');
+    this.depth = 0; // 0 before the opening bracket, 1 between elements
+    this.inString = false;
+    this.escaped = false;
+    this.ended = false;
+    this.element = '';
+    this.seen = 0; // Elements parsed so far, nulls included
+  }
+
+  _transform(chunk, encoding, callback){
+    const text = (typeof chunk === 'string') ? chunk : this.decoder.write(chunk);
+
+    try {
+      this.scan(text);
+    } catch (error) {
+      return callback(error);
+    }
+
+    callback();
+  }
+
+  _flush(callback){
+    try {
+      this.scan(this.decoder.end());
+    } catch (error) {
+      return callback(error);
+    }
+
+    if(!this.ended) return callback(new SyntaxError('Unexpected end of JSON array'));
+    callback();
+  }
+
+  /**
+   * Walk a piece of text, pushing every element that completes in it
+   * @private
+   * @param {string} text - Decoded text
+   */
+  scan(text){
+    let start = 0; // Start of the element text not yet copied into this.element
+
+    for(let i = 0; i < text.length; i++){
+      const char = text[i];
+
+      if(this.inString){
+        if(this.escaped) this.escaped = false;
+        else if(char === '\\') this.escaped = true;
+        else if(char === '"') this.inString = false;
+        continue;
+      }
+
+      if(this.depth === 0){
+        if(this.ended && !/\s/.test(char)) throw new SyntaxError(`Unexpected ${char} after JSON array`);
+        if(char === '[' && !this.ended) this.depth = 1;
+        else if(!/\s/.test(char)) throw new SyntaxError(`Expected a JSON array, got ${char}`);
+
+        start = i + 1;
+        continue;
+      }
+
+      if(this.depth === 1 && (char === ',' || char === ']')){
+        this.element += text.slice(start, i);
+        this.emitElement(char === ']');
+        start = i + 1;
+
+        if(char === ']'){
+          this.depth = 0;
+          this.ended = true;
+        }
+        continue;
+      }
+
+      if(char === '"') this.inString = true;
+      else if(char === '{' || char === '[') this.depth++;
+      else if(char === '}' || char === ']') this.depth--;
+    }
+
+    if(this.depth > 0) this.element += text.slice(start);
+  }
+
+  /**
+   * Parse and push the collected element
+   * @private
+   * @param {boolean} last - Closing bracket reached, an empty element is allowed only for []
+   */
+  emitElement(last){
+    const element = this.element.trim();
+
+    this.element = '';
+
+    if(element === ''){
+      if(last && this.seen === 0) return;
+      throw new SyntaxError(`Unexpected ${(last) ? ']' : ','} in JSON array`);
+    }
+
+    const value = JSON.parse(element);
+
+    this.seen++;
+
+    // null would end an object mode stream
+    if(value !== null) this.push((this.map) ? this.map(value) : value);
+  }
+}
+
+module.exports = ArrayParser;
@@ -0,0 +1,705 @@
+/*!
+    LICENSE
+ */
+
+// Imports
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const url = require('url');
+const crypto = require('crypto');
+const endpoints = require('./endpoints');
+
+// Default Vars
+const PAGE_SIZE = 250;
+const DAY = 24 * 60 * 60;
+const SINCE = { day: DAY, week: 7 * DAY, month: 30 * DAY };
+
+// Fixture files, arrays of records or objects of lists keyed by show, episode or person ID
+const FIXTURES = [
+  'shows', 'episodes', 'seasons', 'cast', 'crew', 'akas', 'images',
+  'guestcast', 'guestcrew', 'people', 'castcredits', 'crewcredits',
+  'guestcastcredits', 'characters'
+];
+
+// Record collections a link name points to, e.g. _links.nextepisode
+const LINKS = {
+  show: 'shows',
+  episode: 'episodes',
+  nextepisode: 'episodes',
+  previousepisode: 'episodes',
+  person: 'people',
+  character: 'characters'
+};
+
+const NOT_FOUND = { name: 'Not Found', message: 'Page not found.', code: 0, status: 404 };
+const UNAUTHORIZED = { name: 'Unauthorized', message: 'Your request was made with invalid credentials.', code: 0, status: 401 };
+const METHOD_NOT_ALLOWED = { name: 'Method Not Allowed', message: '', code: 0, status: 405 };
+
+// Followable kinds of the user API, with their ID field and embed name
+const FOLLOWS = {
+  shows: { field: 'show_id', embed: 'show' },
+  people: { field: 'person_id', embed: 'person' },
+  networks: { field: 'network_id', embed: 'network' },
+  webchannels: { field: 'webchannel_id', embed: 'webchannel' }
+};
+
+// Votable kinds of the user API, with their ID field
+const VOTES = {
+  shows: 'show_id',
+  episodes: 'episode_id'
+};
+
+/**
+ * Local stand-in for the TVmaze API, serving the routes this library uses from fixture data.
+ *
+ * Fixtures are JSON files in a directory (or the same data as an object):
+ * `shows.json`, `people.json` and `characters.json` hold arrays of records,
+ * `episodes.json`, `seasons.json`, `cast.json`, `crew.json`, `akas.json` and
+ * `images.json` hold lists keyed by show ID, `guestcast.json` and
+ * `guestcrew.json` by episode ID, the credit files by person ID. Missing files
+ * are empty. Searches, lookups, schedules, embeds, index pages and update
+ * feeds are computed from these, lookups answer with a redirect like TVmaze.
+ *
+ * The user API under v1/user keeps follows, episode marks and votes in
+ * memory, separately for every username. Any Basic credentials are accepted.
+ */
+class MockServer {
+  /**
+   * @param {Object} [options] - Server options
+   * @param {string|Object} [options.fixtures] - Fixture directory or data
+   * @param {Date|number} [options.now] - Server time for schedules and update feeds, defaults to the clock
+   */
+  constructor(options){
+    const opts = options || {};
+
+    this.data = loadFixtures(opts.fixtures);
+    this.now = opts.now;
+    this.url = null;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    // Lookup tables by ID
+    this.records = {
+      shows: byId(this.data.shows),
+      people: byId(this.data.people),
+      characters: byId(this.data.characters),
+      episodes: new Map()
+    };
+    this.showOfEpisode = new Map();
+    this.showOfSeason = new Map();
+    this.users = new Map();
+
+    // Networks and web channels are only known through their shows
+    this.records.networks = new Map();
+    this.records.webchannels = new Map();
+    this.data.shows.forEach(show => {
+      if(show.network) this.records.networks.set(show.network.id, show.network);
+      if(show.webChannel) this.records.webchannels.set(show.webChannel.id, show.webChannel);
+    });
+
+    Object.keys(this.data.episodes).forEach(showid => {
+      this.data.episodes[showid].forEach(episode => {
+        this.records.episodes.set(episode.id, episode);
+        this.showOfEpisode.set(episode.id, Number(showid));
+      });
+    });
+
+    Object.keys(this.data.seasons).forEach(showid => {
+      this.data.seasons[showid].forEach(season => this.showOfSeason.set(season.id, Number(showid)));
+    });
+  }
+
+  /**
+   * Start listening on localhost
+   * @param {number} [port=0] - Port, 0 picks a free one
+   * @return {Promise} Promise of the base url, e.g. 'http://127.0.0.1:34567/'
+   */
+  start(port){
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port || 0, '127.0.0.1', () => {
+        this.server.removeListener('error', reject);
+        this.url = `http://127.0.0.1:${this.server.address().port}/`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop listening, open keep-alive connections are closed
+   * @return {Promise} Resolves once closed
+   */
+  stop(){
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      if(this.server.closeAllConnections) this.server.closeAllConnections();
+    });
+  }
+
+  handle(req, res){
+    const parsed = url.parse(req.url, true);
+    const route = parsed.pathname.replace(/^\/+|\/+$/g, '');
+
+    if(route.startsWith('v1/user/')){
+      return readBody(req).then(body => {
+        this.send(req, res, this.userRoute(req, route.slice('v1/user/'.length), parsed.query, body));
+      });
+    }
+
+    this.send(req, res, (req.method === 'GET' || req.method === 'HEAD')
+      ? this.route(route, parsed.query)
+      : { status: 405, body: METHOD_NOT_ALLOWED });
+  }
+
+  /**
+   * Write a route result as a JSON response
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {Object} result - { status, body } or { redirect }, a 204 status has no body
+   */
+  send(req, res, result){
+    if(result.redirect){
+      res.writeHead(301, { 'Location': result.redirect });
+      return res.end();
+    }
+
+    if(result.status === 204){
+      res.writeHead(204);
+      return res.end();
+    }
+
+    const body = JSON.stringify(result.body);
+    const etag = `W/"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+    const headers = {
+      'Content-Type': 'application/json; charset=UTF-8',
+      'ETag': etag
+    };
+
+    if(result.status === 200 && req.headers['if-none-match'] === etag){
+      res.writeHead(304, headers);
+      return res.end();
+    }
+
+    res.writeHead(result.status, headers);
+    res.end((req.method === 'HEAD') ? undefined : body);
+  }
+
+  /**
+   * Answer a user API request for the user named in the Basic credentials
+   * @param {http.IncomingMessage} req - Request
+   * @param {string} route - Path below v1/user/, e.g. 'follows/shows/1'
+   * @param {Object} query - Parsed query
+   * @param {Object} body - Parsed JSON body, empty when there is none
+   * @return {Object} { status, body }
+   */
+  userRoute(req, route, query, body){
+    const username = basicUsername(req.headers.authorization);
+    if(!username) return { status: 401, body: UNAUTHORIZED };
+
+    const matches = USER_ROUTES.filter(rule => rule.pattern.test(route));
+    const rule = matches.find(match => match.method === req.method);
+
+    if(!rule) return (matches.length) ? { status: 405, body: METHOD_NOT_ALLOWED } : { status: 404, body: NOT_FOUND };
+
+    return USER_HANDLERS[rule.handler].call(this, this.user(username), rule.pattern.exec(route), query, body);
+  }
+
+  /**
+   * In memory user API state, created on first use
+   * @param {string} username - TVmaze username
+   * @return {Object} { follows, marks, votes } of Maps keyed by ID
+   */
+  user(username){
+    if(!this.users.has(username)){
+      this.users.set(username, {
+        follows: { shows: new Map(), people: new Map(), networks: new Map(), webchannels: new Map() },
+        marks: new Map(),
+        votes: { shows: new Map(), episodes: new Map() }
+      });
+    }
+
+    return this.users.get(username);
+  }
+
+  seconds(){
+    return Math.floor(this.clock().getTime() / 1000);
+  }
+
+  /**
+   * Answer a request path
+   * @param {string} route - Path without slashes around it, e.g. 'shows/1'
+   * @param {Object} query - Parsed query
+   * @return {Object} { status, body } or { redirect }
+   */
+  route(route, query){
+    const endpoint = endpoints.find(route);
+    const handler = endpoint && HANDLERS[endpoint.name];
+    const id = Number(route.split('/')[1]);
+    const value = (handler) ? handler.call(this, id, query) : undefined;
+
+    if(value === undefined) return { status: 404, body: NOT_FOUND };
+    if(value && value.redirect) return value;
+    return { status: 200, body: value };
+  }
+
+  clock(){
+    return (this.now !== undefined) ? new Date(this.now) : new Date();
+  }
+
+  today(){
+    return this.clock().toISOString().slice(0, 10);
+  }
+
+  list(name, id){
+    return this.data[name][id] || [];
+  }
+
+  linked(item, name){
+    const link = item._links && item._links[name];
+    const match = link && link.href && /\/(\d+)$/.exec(link.href);
+
+    return (match && LINKS[name]) ? this.records[LINKS[name]].get(Number(match[1])) : undefined;
+  }
+
+  /**
+   * Copy of a record with the requested embeds
+   * @param {Object} item - Record
+   * @param {Object} query - Parsed query, embed or embed[]
+   * @param {Object} lists - Embed name to function returning the embedded list
+   * @return {Object} Record, with _embedded when embeds were asked for
+   */
+  embed(item, query, lists){
+    const names = [].concat(query['embed[]'] || query.embed || []);
+    if(!names.length) return item;
+
+    const embedded = {};
+    names.forEach(name => {
+      const value = (lists && lists[name]) ? lists[name]() : this.linked(item, name);
+      if(value !== undefined) embedded[name] = value;
+    });
+
+    return Object.assign({}, item, { _embedded: embedded });
+  }
+
+  showWithEmbeds(show, query){
+    return this.embed(show, query, {
+      episodes: () => this.list('episodes', show.id).filter(regular),
+      seasons: () => this.list('seasons', show.id),
+      cast: () => this.list('cast', show.id),
+      crew: () => this.list('crew', show.id),
+      akas: () => this.list('akas', show.id),
+      images: () => this.list('images', show.id)
+    });
+  }
+
+  search(records, query){
+    const words = normalize(query.q).split(' ').filter(Boolean);
+
+    return records
+      .map(record => {
+        const name = normalize(record.name);
+        const matches = words.length && words.every(word => name.split(' ').includes(word));
+
+        return (matches) ? { score: Math.round(words.join(' ').length / name.length * 100) / 100, record: record } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 10);
+  }
+
+  scheduled(withChannel, filter){
+    const items = [];
+
+    this.data.shows.filter(withChannel).forEach(show => {
+      this.list('episodes', show.id).filter(filter).forEach(episode => items.push({ show: show, episode: episode }));
+    });
+
+    return items.sort((a, b) => (Date.parse(a.episode.airstamp) || 0) - (Date.parse(b.episode.airstamp) || 0));
+  }
+
+  index(records, query){
+    const page = Number(query.page) || 0;
+    const items = records
+      .filter(record => Math.floor(record.id / PAGE_SIZE) === page)
+      .sort((a, b) => a.id - b.id);
+
+    return (items.length) ? items : undefined;
+  }
+
+  updates(records, query){
+    const now = Math.floor(this.clock().getTime() / 1000);
+    const window = SINCE[query.since];
+    const updates = {};
+
+    records
+      .filter(record => !window || record.updated >= now - window)
+      .sort((a, b) => a.id - b.id)
+      .forEach(record => {
+        updates[record.id] = record.updated;
+      });
+
+    return updates;
+  }
+}
+
+// Route handlers by endpoint name, called with the path ID and query. Undefined means 404
+const HANDLERS = {
+  search: function(id, query){
+    return this.search(this.data.shows, query).map(match => ({ score: match.score, show: match.record }));
+  },
+
+  singleSearch: function(id, query){
+    const match = this.search(this.data.shows, query)[0];
+    return (match) ? this.showWithEmbeds(match.record, query) : undefined;
+  },
+
+  searchPeople: function(id, query){
+    return this.search(this.data.people, query).map(match => ({ score: match.score, person: match.record }));
+  },
+
+  lookup: function(id, query){
+    const type = ['imdb', 'thetvdb', 'tvrage'].find(name => query[name] !== undefined);
+    const show = type && this.data.shows.find(record => record.externals && String(record.externals[type]) === String(query[type]));
+
+    return (show) ? { redirect: `/shows/${show.id}` } : undefined;
+  },
+
+  schedule: function(id, query){
+    const date = query.date || this.today();
+    const country = query.country || 'US';
+
+    return this.scheduled(
+      show => show.network && show.network.country && show.network.country.code === country,
+      episode => episode.airdate === date
+    ).map(item => Object.assign({}, item.episode, { show: item.show }));
+  },
+
+  webSchedule: function(id, query){
+    const date = query.date || this.today();
+
+    return this.scheduled(
+      show => show.webChannel && (!query.country || (show.webChannel.country && show.webChannel.country.code === query.country)),
+      episode => episode.airdate === date
+    ).map(item => Object.assign({}, item.episode, { _embedded: { show: item.show } }));
+  },
+
+  fullSchedule: function(){
+    const now = this.clock().getTime();
+
+    return this.scheduled(
+      show => show.network,
+      episode => Date.parse(episode.airstamp) >= now
+    ).map(item => Object.assign({}, item.episode, { show: item.show }));
+  },
+
+  showsIndex: function(id, query){
+    return this.index(this.data.shows, query);
+  },
+
+  show: function(id, query){
+    const show = this.records.shows.get(id);
+    return (show) ? this.showWithEmbeds(show, query) : undefined;
+  },
+
+  episodes: function(id, query){
+    if(!this.records.shows.has(id)) return undefined;
+    return this.list('episodes', id).filter(episode => query.specials || regular(episode));
+  },
+
+  episode: function(id, query){
+    return this.list('episodes', id).find(episode => {
+      return regular(episode) && String(episode.season) === String(query.season) && String(episode.number) === String(query.number);
+    });
+  },
+
+  episodesByDate: function(id, query){
+    const episodes = this.list('episodes', id).filter(episode => episode.airdate === query.date);
+    return (episodes.length) ? episodes : undefined;
+  },
+
+  episodeById: function(id, query){
+    const episode = this.records.episodes.get(id);
+    if(!episode) return undefined;
+
+    return this.embed(episode, query, {
+      show: () => this.records.shows.get(this.showOfEpisode.get(id)),
+      guestcast: () => this.list('guestcast', id),
+      guestcrew: () => this.list('guestcrew', id)
+    });
+  },
+
+  episodeGuestCast: function(id){
+    return (this.records.episodes.has(id)) ? this.list('guestcast', id) : undefined;
+  },
+
+  episodeGuestCrew: function(id){
+    return (this.records.episodes.has(id)) ? this.list('guestcrew', id) : undefined;
+  },
+
+  seasons: function(id){
+    return (this.records.shows.has(id)) ? this.list('seasons', id) : undefined;
+  },
+
+  seasonEpisodes: function(id){
+    const showid = this.showOfSeason.get(id);
+    if(showid === undefined) return undefined;
+
+    const season = this.list('seasons', showid).find(record => record.id === id);
+    return this.list('episodes', showid).filter(episode => episode.season === season.number);
+  },
+
+  cast: function(id){
+    return (this.records.shows.has(id)) ? this.list('cast', id) : undefined;
+  },
+
+  crew: function(id){
+    return (this.records.shows.has(id)) ? this.list('crew', id) : undefined;
+  },
+
+  aliases: function(id){
+    return (this.records.shows.has(id)) ? this.list('akas', id) : undefined;
+  },
+
+  showImages: function(id){
+    return (this.records.shows.has(id)) ? this.list('images', id) : undefined;
+  },
+
+  showUpdates: function(id, query){
+    return this.updates(this.data.shows, query);
+  },
+
+  peopleIndex: function(id, query){
+    return this.index(this.data.people, query);
+  },
+
+  person: function(id, query){
+    const person = this.records.people.get(id);
+    if(!person) return undefined;
+
+    return this.embed(person, query, {
+      castcredits: () => this.list('castcredits', id),
+      crewcredits: () => this.list('crewcredits', id)
+    });
+  },
+
+  personCastCredits: function(id, query){
+    return (this.records.people.has(id)) ? this.list('castcredits', id).map(credit => this.embed(credit, query)) : undefined;
+  },
+
+  personCrewCredits: function(id, query){
+    return (this.records.people.has(id)) ? this.list('crewcredits', id).map(credit => this.embed(credit, query)) : undefined;
+  },
+
+  personGuestCastCredits: function(id, query){
+    return (this.records.people.has(id)) ? this.list('guestcastcredits', id).map(credit => this.embed(credit, query)) : undefined;
+  },
+
+  character: function(id){
+    return this.records.characters.get(id);
+  },
+
+  peopleUpdates: function(id, query){
+    return this.updates(this.data.people, query);
+  }
+};
+
+// User API routes below v1/user/, first path match with the request method wins
+const USER_ROUTES = [
+  { method: 'GET', pattern: /^follows\/(shows|people|networks|webchannels)$/, handler: 'followed' },
+  { method: 'GET', pattern: /^follows\/(shows|people|networks|webchannels)\/(\d+)$/, handler: 'followedItem' },
+  { method: 'PUT', pattern: /^follows\/(shows|people|networks|webchannels)\/(\d+)$/, handler: 'follow' },
+  { method: 'DELETE', pattern: /^follows\/(shows|people|networks|webchannels)\/(\d+)$/, handler: 'unfollow' },
+  { method: 'GET', pattern: /^episodes$/, handler: 'marks' },
+  { method: 'GET', pattern: /^episodes\/(\d+)$/, handler: 'mark' },
+  { method: 'PUT', pattern: /^episodes\/(\d+)$/, handler: 'markEpisode' },
+  { method: 'DELETE', pattern: /^episodes\/(\d+)$/, handler: 'unmarkEpisode' },
+  { method: 'GET', pattern: /^votes\/(shows|episodes)$/, handler: 'votes' },
+  { method: 'GET', pattern: /^votes\/(shows|episodes)\/(\d+)$/, handler: 'vote' },
+  { method: 'PUT', pattern: /^votes\/(shows|episodes)\/(\d+)$/, handler: 'castVote' },
+  { method: 'DELETE', pattern: /^votes\/(shows|episodes)\/(\d+)$/, handler: 'unvote' }
+];
+
+// User API handlers by name, called with the user state, the route match, query and body
+const USER_HANDLERS = {
+  followed: function(user, match, query){
+    const kind = match[1];
+    const names = [].concat(query['embed[]'] || query.embed || []);
+
+    return ok(sortBy(user.follows[kind], FOLLOWS[kind].field).map(item => {
+      if(!names.includes(FOLLOWS[kind].embed)) return item;
+      return Object.assign({}, item, { _embedded: { [FOLLOWS[kind].embed]: this.records[kind].get(item[FOLLOWS[kind].field]) } });
+    }));
+  },
+
+  followedItem: function(user, match){
+    return found(user.follows[match[1]].get(Number(match[2])));
+  },
+
+  follow: function(user, match){
+    const kind = match[1];
+    const id = Number(match[2]);
+
+    if(!this.records[kind].has(id)) return notFound();
+
+    const item = { [FOLLOWS[kind].field]: id };
+    user.follows[kind].set(id, item);
+
+    return ok(item);
+  },
+
+  unfollow: function(user, match){
+    return (user.follows[match[1]].delete(Number(match[2]))) ? { status: 204 } : notFound();
+  },
+
+  marks: function(user, match, query){
+    const showid = (query.show_id !== undefined) ? Number(query.show_id) : undefined;
+    const names = [].concat(query['embed[]'] || query.embed || []);
+
+    return ok(sortBy(user.marks, 'episode_id')
+      .filter(mark => showid === undefined || this.showOfEpisode.get(mark.episode_id) === showid)
+      .map(mark => (names.includes('episode'))
+        ? Object.assign({}, mark, { _embedded: { episode: this.records.episodes.get(mark.episode_id) } })
+        : mark));
+  },
+
+  mark: function(user, match){
+    return found(user.marks.get(Number(match[1])));
+  },
+
+  markEpisode: function(user, match, query, body){
+    const id = Number(match[1]);
+
+    if(!this.records.episodes.has(id)) return notFound();
+    if(![0, 1, 2].includes(body.type)) return invalid('type must be 0, 1 or 2');
+
+    const mark = { episode_id: id, type: body.type, marked_at: body.marked_at || this.seconds() };
+    user.marks.set(id, mark);
+
+    return ok(mark);
+  },
+
+  unmarkEpisode: function(user, match){
+    return (user.marks.delete(Number(match[1]))) ? { status: 204 } : notFound();
+  },
+
+  votes: function(user, match){
+    return ok(sortBy(user.votes[match[1]], VOTES[match[1]]));
+  },
+
+  vote: function(user, match){
+    return found(user.votes[match[1]].get(Number(match[2])));
+  },
+
+  castVote: function(user, match, query, body){
+    const kind = match[1];
+    const id = Number(match[2]);
+
+    if(!this.records[kind].has(id)) return notFound();
+    if(!Number.isInteger(body.vote) || body.vote < 1 || body.vote > 10) return invalid('vote must be between 1 and 10');
+
+    const vote = { [VOTES[kind]]: id, vote: body.vote, voted_at: this.seconds() };
+    user.votes[kind].set(id, vote);
+
+    return ok(vote);
+  },
+
+  unvote: function(user, match){
+    return (user.votes[match[1]].delete(Number(match[2]))) ? { status: 204 } : notFound();
+  }
+};
+
+function ok(body){
+  return { status: 200, body: body };
+}
+
+function found(value){
+  return (value) ? ok(value) : notFound();
+}
+
+function notFound(){
+  return { status: 404, body: NOT_FOUND };
+}
+
+function invalid(message){
+  return { status: 422, body: { name: 'Unprocessable entity', message: message, code: 0, status: 422 } };
+}
+
+function sortBy(map, field){
+  return Array.from(map.values()).sort((a, b) => a[field] - b[field]);
+}
+
+/**
+ * Username from a Basic Authorization header
+ * @private
+ * @param {string} [header] - Authorization header
+ * @return {string|undefined} Username, undefined without valid credentials
+ */
+function basicUsername(header){
+  const match = /^Basic\s+(\S+)$/i.exec(header || '');
+  if(!match) return undefined;
+
+  const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+  const separator = credentials.indexOf(':');
+
+  return (separator > 0 && separator < credentials.length - 1) ? credentials.slice(0, separator) : undefined;
+}
+
+/**
+ * Read and parse a JSON request body
+ * @private
+ * @param {http.IncomingMessage} req - Request
+ * @return {Promise} Promise of the parsed body, an empty object when missing or invalid
+ */
+function readBody(req){
+  return new Promise(resolve => {
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')) || {});
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+}
+
+/**
+ * Read fixture data, every collection defaults to empty
+ * @private
+ * @param {string|Object} [fixtures] - Directory of JSON files or data object
+ * @return {Object} Collections by name
+ */
+function loadFixtures(fixtures){
+  const data = {};
+
+  FIXTURES.forEach(name => {
+    let value;
+
+    if(typeof fixtures === 'string'){
+      const file = path.join(fixtures, `${name}.json`);
+      if(fs.existsSync(file)) value = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }else if(fixtures){
+      value = fixtures[name];
+    }
+
+    data[name] = value || ((['shows', 'people', 'characters'].includes(name)) ? [] : {});
+  });
+
+  return data;
+}
+
+function byId(records){
+  return new Map(records.map(record => [record.id, record]));
+}
+
+function regular(episode){
+  return !episode.type || episode.type === 'regular';
+}
+
+function normalize(text){
+  return String(text || '').toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = MockServer;
@@ -0,0 +1,443 @@
+/*!
+    LICENSE
+ */
+
+// Imports
+const endpoints = require('./endpoints');
+
+// Named HTML entities found in TVmaze summaries
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' ',
+  hellip: '…',
+  ndash: '–',
+  mdash: '—',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”'
+};
+
+/**
+ * Base class of the model layer.
+ *
+ * Every field of the response is copied onto the model, so `show.name` works as
+ * before. The untouched response stays available as `raw` and is what
+ * `JSON.stringify` writes. Navigation methods fetch related data through the
+ * client that loaded the model, with models switched on.
+ */
+class Model {
+  /**
+   * @param {Object} raw - Response object
+   * @param {Object} client - Tvmaze client the model was loaded with
+   */
+  constructor(raw, client){
+    Object.assign(this, raw);
+    Object.defineProperty(this, 'raw', { value: raw });
+    Object.defineProperty(this, 'client', { value: client });
+
+    const embeds = this.constructor.EMBEDS;
+
+    if(raw._embedded && embeds){
+      this._embedded = Object.assign({}, raw._embedded);
+
+      Object.keys(embeds).forEach(name => {
+        if(this._embedded[name] != null) this._embedded[name] = wrap(this._embedded[name], embeds[name], client);
+      });
+    }
+  }
+
+  /**
+   * Embedded data loaded with the model
+   * @param {string} name - Embed name, e.g. 'episodes'
+   * @return {*} Embedded data, undefined when it was not embedded
+   */
+  embedded(name){
+    return (this._embedded) ? this._embedded[name] : undefined;
+  }
+
+  /**
+   * ID of a linked resource, taken from the end of its `_links` href
+   * @param {string} name - Link name, e.g. 'nextepisode'
+   * @return {number|null} Linked ID or null when there is no such link
+   */
+  linkId(name){
+    const link = this._links && this._links[name];
+    const match = link && link.href && /\/(\d+)$/.exec(link.href);
+
+    return (match) ? Number(match[1]) : null;
+  }
+
+  /**
+   * Url request options for navigation requests, models stay on
+   * @param {Object} [options] - Url request options
+   * @return {Object} Options with models enabled
+   */
+  requestOptions(options){
+    return Object.assign({}, options, { models: true });
+  }
+
+  toJSON(){
+    return this.raw;
+  }
+}
+
+/**
+ * A TV show
+ */
+class Show extends Model {
+  /**
+   * Premiere date
+   * @return {Date|null} Date of the premiere or null when unknown
+   */
+  get premieredDate(){
+    return toDate(this.premiered);
+  }
+
+  /**
+   * Summary with the HTML removed
+   * @return {string|null} Plain text summary or null when there is none
+   */
+  get plainSummary(){
+    return plainText(this.summary);
+  }
+
+  /**
+   * Episodes of the show, embedded episodes are used when present
+   * @param {boolean} [specials=false] - include special episodes
+   * @param {Object} [options] - Url request options
+   * @return {Promise} Promise of Episode models
+   */
+  episodes(specials, options){
+    const embedded = this.embedded('episodes');
+
+    if(embedded && !specials) return Promise.resolve(embedded);
+    return this.client.episodes(this.id, specials, this.requestOptions(options));
+  }
+
+  /**
+   * Seasons of the show, embedded seasons are used when present
+   * @param {Object} [options] - Url request options
+   * @return {Promise} Promise of season objects
+   */
+  seasons(options){
+    const embedded = this.embedded('seasons');
+
+    if(embedded) return Promise.resolve(embedded);
+    return this.client.seasons(this.id, this.requestOptions(options));
+  }
+
+  /**
+   * Main cast of the show, embedded cast is used when present
+   * @param {Object} [options] - Url request options
+   * @return {Promise} Promise of cast entries with Person models
+   */
+  cast(options){
+    const embedded = this.embedded('cast');
+
+    if(embedded) return Promise.resolve(embedded);
+    return this.client.cast(this.id, this.requestOptions(options));
+  }
+
+  /**
+   * Main crew of the show, embedded crew is used when present
+   * @param {Object} [options] - Url request options
+   * @return {Promise} Promise of crew entries with Person models
+   */
+  crew(options){
+    const embedded = this.embedded('crew');
+
+    if(embedded) return Promise.resolve(embedded);
+    return this.client.crew(this.id, this.requestOptions(options));
+  }
+
+  /**
+   * Images of the show
+   * @param {Object} [options] - Url request options
+   * @return {Promise} Promise of image objects
+   */
+  images(options){
+    const embedded = this.embedded('images');
+
+    if(embedded) return Promise.resolve(embedded);
+    return this.client.showImages(this.id, this.requestOptions(options));
+  }
+
+  /**
+   * Next episode to air
+   * @param {Object} [options] - Url request options
+   * @return {Promise} Promise of an Episode model, null when nothing is scheduled
+   */
+  nextEpisode(options){
+    return this.linkedEpisode('nextepisode', options);
+  }
+
+  /**
+   * Last episode that aired
+   * @param {Object} [options] - Url request options
+   * @return {Promise} Promise of an Episode model, null when nothing aired yet
+   */
+  previousEpisode(options){
+    return this.linkedEpisode('previousepisode', options);
+  }
+
+  linkedEpisode(name, options){
+    const embedded = this.embedded(name);
+    const id = this.linkId(name);
+
+    if(embedded) return Promise.resolve(embedded);
+    if(id === null) return Promise.resolve(null);
+    return this.client.episodeById(id, null, this.requestOptions(options));
+  }
+}
+
+/**
+ * An episode. Schedule entries carry their show inline, embedded shows are
+ * moved to the same `show` field.
+ */
+class Episode extends Model {
+  constructor(raw, client){
+    super(raw, client);
+
+    if(this.show) this.show = wrap(this.show, Show, client);
+    else if(this.embedded('show')) this.show = this.embedded('show');
+  }
+
+  /**
+   * Air date and time
+   * @return {Date|null} Date from the airstamp or null when unknown
+   */
+  get airDate(){
+    return toDate(this.airstamp);
+  }
+
+  /**
+   * Summary with the HTML removed
+   * @return {string|null} Plain text summary or null when there is none
+   */
+  get plainSummary(){
+    return plainText(this.summary);
+  }
+
+  /**
+   * Show the episode belongs to, fetched when it was not loaded with the episode
+   * @param {Object} [options] - Url request options
+   * @return {Promise} Promise of a Show model, null when the show is unknown
+   */
+  fetchShow(options){
+    const id = this.linkId('show');
+
+    if(this.show) return Promise.resolve(this.show);
+    if(id === null) return Promise.resolve(null);
+    return this.client.show(id, null, this.requestOptions(options));
+  }
+
+  /**
+   * Guest cast of the episode
+   * @param {Object} [options] - Url request options
+   * @return {Promise} Promise of guest cast entries with Person models
+   */
+  guestCast(options){
+    const embedded = this.embedded('guestcast');
+
+    if(embedded) return Promise.resolve(embedded);
+    return this.client.episodeGuestCast(this.id, this.requestOptions(options));
+  }
+
+  /**
+   * Guest crew of the episode
+   * @param {Object} [options] - Url request options
+   * @return {Promise} Promise of guest crew entries with Person models
+   */
+  guestCrew(options){
+    const embedded = this.embedded('guestcrew');
+
+    if(embedded) return Promise.resolve(embedded);
+    return this.client.episodeGuestCrew(this.id, this.requestOptions(options));
+  }
+}
+
+/**
+ * A person
+ */
+class Person extends Model {
+  /**
+   * Date of birth
+   * @return {Date|null} Birthday or null when unknown
+   */
+  get birthDate(){
+    return toDate(this.birthday);
+  }
+
+  /**
+   * Date of death
+   * @return {Date|null} Deathday or null when unknown or alive
+   */
+  get deathDate(){
+    return toDate(this.deathday);
+  }
+
+  /**
+   * Show-level cast credits
+   * @param {string|string[]} [embed] - Embed 'show' and/or 'character'
+   * @param {Object} [options] - Url request options
+   * @return {Promise} Promise of credits, embedded shows as Show models
+   */
+  castCredits(embed, options){
+    return this.client.personCastCredits(this.id, embed, this.requestOptions(options));
+  }
+
+  /**
+   * Show-level crew credits
+   * @param {string|string[]} [embed] - Embed 'show'
+   * @param {Object} [options] - Url request options
+   * @return {Promise} Promise of credits, embedded shows as Show models
+   */
+  crewCredits(embed, options){
+    return this.client.personCrewCredits(this.id, embed, this.requestOptions(options));
+  }
+
+  /**
+   * Episode-level guest cast credits
+   * @param {string|string[]} [embed] - Embed 'episode' and/or 'character'
+   * @param {Object} [options] - Url request options
+   * @return {Promise} Promise of credits, embedded episodes as Episode models
+   */
+  guestCastCredits(embed, options){
+    return this.client.personGuestCastCredits(this.id, embed, this.requestOptions(options));
+  }
+}
+
+// Credit entries, cast and crew carry a person, person credits embed a show or episode
+const PERSON_ENTRY = { field: 'person', model: Person };
+const CREDIT = { embeds: { show: Show, episode: Episode } };
+
+Show.EMBEDS = {
+  episodes: Episode,
+  nextepisode: Episode,
+  previousepisode: Episode,
+  cast: PERSON_ENTRY,
+  crew: PERSON_ENTRY
+};
+Episode.EMBEDS = { show: Show, guestcast: PERSON_ENTRY, guestcrew: PERSON_ENTRY };
+Person.EMBEDS = { castcredits: CREDIT, crewcredits: CREDIT };
+
+// What each endpoint returns
+const ENDPOINT_MODELS = {
+  search: { field: 'show', model: Show },
+  singleSearch: Show,
+  searchPeople: PERSON_ENTRY,
+  lookup: Show,
+  schedule: Episode,
+  webSchedule: Episode,
+  fullSchedule: Episode,
+  showsIndex: Show,
+  show: Show,
+  episodes: Episode,
+  episode: Episode,
+  episodesByDate: Episode,
+  episodeById: Episode,
+  episodeGuestCast: PERSON_ENTRY,
+  episodeGuestCrew: PERSON_ENTRY,
+  seasonEpisodes: Episode,
+  cast: PERSON_ENTRY,
+  crew: PERSON_ENTRY,
+  peopleIndex: Person,
+  person: Person,
+  personCastCredits: CREDIT,
+  personCrewCredits: CREDIT,
+  personGuestCastCredits: CREDIT
+};
+
+/**
+ * Wrap a value in models. A spec is a model class, `{ field, model }` for
+ * entries holding a model in a field or `{ embeds }` for entries embedding models.
+ * @param {*} value - Response value, arrays are wrapped item by item
+ * @param {Function|Object} spec - How to wrap each item
+ * @param {Object} client - Tvmaze client
+ * @return {*} Wrapped value
+ */
+function wrap(value, spec, client){
+  if(Array.isArray(value)) return value.map(item => wrap(item, spec, client));
+  if(!value || typeof value !== 'object' || value instanceof Model) return value;
+
+  if(typeof spec === 'function') return new spec(value, client);
+
+  if(spec.field){
+    return (value[spec.field])
+      ? Object.assign({}, value, { [spec.field]: wrap(value[spec.field], spec.model, client) })
+      : value;
+  }
+
+  if(!value._embedded) return value;
+
+  const embedded = Object.assign({}, value._embedded);
+  Object.keys(spec.embeds).forEach(name => {
+    if(embedded[name] != null) embedded[name] = wrap(embedded[name], spec.embeds[name], client);
+  });
+
+  return Object.assign({}, value, { _embedded: embedded });
+}
+
+/**
+ * Wrap a response in the models of its endpoint
+ * @param {string} path - Request path
+ * @param {*} value - Response value
+ * @param {Object} client - Tvmaze client
+ * @return {*} Wrapped value, unchanged for endpoints without models
+ */
+function fromResponse(path, value, client){
+  const endpoint = endpoints.find(path);
+  const spec = endpoint && ENDPOINT_MODELS[endpoint.name];
+
+  return (spec) ? wrap(value, spec, client) : value;
+}
+
+/**
+ * Parse a TVmaze date or timestamp
+ * @param {string} value - ISO date, e.g. '2019-03-23' or '2019-03-23T01:00:00+00:00'
+ * @return {Date|null} Date or null when missing or invalid
+ */
+function toDate(value){
+  const date = (value) ? new Date(value) : null;
+
+  return (date && !isNaN(date.getTime())) ? date : null;
+}
+
+/**
+ * Strip the HTML from a summary, paragraphs and line breaks become newlines
+ * @param {string} html - HTML summary
+ * @return {string|null} Plain text or null when there is no summary
+ */
+function plainText(html){
+  if(!html) return null;
+
+  return String(html)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>/gi, '\n\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if(name[0] !== '#') return (ENTITIES[name.toLowerCase()] !== undefined) ? ENTITIES[name.toLowerCase()] : entity;
+
+      const code = (name[1] === 'x' || name[1] === 'X') ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return (code >= 0 && code <= 0x10FFFF) ? String.fromCodePoint(code) : entity;
+    })
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = {
+  Model: Model,
+  Show: Show,
+  Episode: Episode,
+  Person: Person,
+  wrap: wrap,
+  fromResponse: fromResponse,
+  plainText: plainText
+};
@@ -0,0 +1,50 @@
+/*!
+    LICENSE
+ */
+
+// Imports
+const errors = require('./errors');
+
+// Default Vars
+const PAGE_SIZE = 250; // TVmaze index pages hold IDs page * 250 up to (page + 1) * 250 - 1
+
+/**
+ * Walk a TVmaze index page by page, yielding items one by one until the
+ * terminating 404. Up to `concurrency` pages are requested ahead of the consumer.
+ * @param {Function} fetchPage - Function taking a page number, returning a promise of an item array
+ * @param {Object} [params] - Iteration options
+ * @param {number} [params.startPage=0] - First page to request
+ * @param {number} [params.afterId] - Resume after this ID, earlier pages and items are skipped
+ * @param {number} [params.concurrency=1] - Pages requested at once
+ * @return {AsyncIterable} Async iterable of items
+ */
+async function* paginate(fetchPage, params){
+  const opts = Object.assign({ startPage: 0, concurrency: 1 }, params);
+  const afterId = (opts.afterId !== undefined && opts.afterId !== null) ? Number(opts.afterId) : -1;
+
+  let page = Math.max(opts.startPage, Math.floor((afterId + 1) / PAGE_SIZE));
+  const pending = [];
+
+  // Settle every request so prefetched pages never reject unhandled
+  const request = (number) => Promise.resolve()
+    .then(() => fetchPage(number))
+    .then(items => ({ items: items }), error => ({ error: error }));
+
+  while(true){
+    while(pending.length < opts.concurrency){
+      pending.push(request(page++));
+    }
+
+    const result = await pending.shift();
+
+    if(result.error instanceof errors.NotFoundError) return;
+    if(result.error) throw result.error;
+
+    for(const item of result.items || []){
+      if(item.id > afterId) yield item;
+    }
+  }
+}
+
+module.exports = paginate;
+module.exports.PAGE_SIZE = PAGE_SIZE;
@@ -0,0 +1,103 @@
+/*!
+    LICENSE
+ */
+
+// Imports
+const abort = require('./abort');
+
+// Default Vars
+const DEFAULT_RETRY = {
+  retries: 3,
+  minDelay: 500, // First backoff delay in ms
+  maxDelay: 30000,
+  factor: 2,
+  statusCodes: [429, 502, 503, 504],
+  methods: ['GET']
+}
+
+/**
+ * Fill in retry defaults
+ * @param {Object|boolean} [retry] - Retry options, false disables retrying
+ * @return {Object|null} Retry options or null when disabled
+ */
+function retryOptions(retry){
+  if(retry === false) return null;
+
+  return Object.assign({}, DEFAULT_RETRY, (typeof retry === 'object') ? retry : null);
+}
+
+/**
+ * Read a Retry-After header as milliseconds
+ * @param {Object} [headers] - Response headers
+ * @return {number|null} Delay in ms or null when missing or invalid
+ */
+function retryAfter(headers){
+  const value = headers && headers['retry-after'];
+
+  if(value === undefined || value === null || value === '') return null;
+
+  // Either delay-seconds or an HTTP date
+  if(/^\d+$/.test(String(value).trim())) return parseInt(value, 10) * 1000;
+
+  const date = Date.parse(value);
+  return (isNaN(date)) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Exponential backoff with jitter, half the delay is fixed and half random
+ * @param {number} attempt - Number of the retry, starting at 0
+ * @param {Object} retry - Retry options
+ * @return {number} Delay in ms
+ */
+function backoff(attempt, retry){
+  const delay = Math.min(retry.maxDelay, retry.minDelay * Math.pow(retry.factor, attempt));
+
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Call a request function again while it fails with a retryable status.
+ * A Retry-After longer than maxDelay fails with the error instead of waiting.
+ * @param {Function} fn - Function called with the attempt number, starting at 0,
+ *   returning a promise, rejections carry `status` and `headers`
+ * @param {string} method - HTTP method of the request
+ * @param {Object|null} retry - Retry options from retryOptions
+ * @param {AbortSignal} [signal] - Stops waiting between attempts
+ * @param {Function} [onRetry] - Called with the error, the failed attempt number and the delay in ms before waiting
+ * @return {Promise} Promise of the first successful result or the last error
+ */
+function withRetry(fn, method, retry, signal, onRetry){
+  const attempt = (count) => fn(count).catch(error => {
+    const status = error && error.status;
+
+    if(
+      !retry
+      || count >= retry.retries
+      || retry.methods.indexOf(method) === -1
+      || retry.statusCodes.indexOf(status) === -1
+    ){
+      throw error;
+    }
+
+    const after = retryAfter(error.headers);
+
+    // Waiting longer than maxDelay when the server asks for it would stall the call
+    if(after !== null && after > retry.maxDelay) throw error;
+
+    const delay = (after !== null) ? after : backoff(count, retry);
+
+    if(onRetry) onRetry(error, count, delay);
+
+    return abort.delay(delay, signal)
+      .then(() => attempt(count + 1));
+  });
+
+  return attempt(0);
+}
+
+module.exports = {
+  retryOptions: retryOptions,
+  retryAfter: retryAfter,
+  backoff: backoff,
+  withRetry: withRetry
+};
@@ -0,0 +1,181 @@
+/*!
+    LICENSE
+ */
+
+// Imports
+const EventEmitter = require('events');
+const abort = require('./abort');
+
+// Default Vars
+const DEFAULT_LIMITS = {
+  limit: 20, // TVmaze allows 20 calls...
+  interval: 10000, // ...every 10 seconds
+  concurrency: 5
+}
+
+/**
+ * Request queue keeping calls within a budget of `limit` calls per `interval`
+ * milliseconds, with at most `concurrency` calls running at once.
+ *
+ * Emits:
+ *  - `queued` { queued } when a task is added
+ *  - `start` { wait, queued, running } when a task starts, wait is in ms
+ *  - `done` { duration, queued, running } when a task settles
+ */
+class Scheduler extends EventEmitter {
+  /**
+   * @param {Object} [limits] - Scheduler limits
+   * @param {number} [limits.limit=20] - Calls allowed per interval
+   * @param {number} [limits.interval=10000] - Interval length in milliseconds
+   * @param {number} [limits.concurrency=5] - Maximum calls running at once
+   */
+  constructor(limits){
+    super();
+
+    const opts = Object.assign({}, DEFAULT_LIMITS, limits);
+
+    this.limit = opts.limit;
+    this.interval = opts.interval;
+    this.concurrency = opts.concurrency;
+
+    this.queue = [];
+    this.running = 0;
+    this.started = []; // Start timestamps within the current window
+    this.timer = null;
+    this.totals = {
+      started: 0,
+      completed: 0,
+      waited: 0
+    };
+  }
+
+  /**
+   * Queue a task, it is called once the budget allows
+   * @param {Function} task - Function returning a promise
+   * @param {AbortSignal} [signal] - Removes the task from the queue when aborted before it starts
+   * @return {Promise} Promise settling with the task result
+   */
+  schedule(task, signal){
+    if(signal && signal.aborted) return Promise.reject(abort.abortError());
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        task: task,
+        resolve: resolve,
+        reject: reject,
+        queuedAt: Date.now()
+      };
+
+      entry.removeListener = abort.onAbort(signal, () => {
+        const index = this.queue.indexOf(entry);
+
+        entry.removeListener();
+        if(index === -1) return;
+
+        this.queue.splice(index, 1);
+        if(!this.queue.length) this.sleep();
+        reject(abort.abortError());
+      });
+
+      this.queue.push(entry);
+
+      this.emit('queued', { queued: this.queue.length });
+      this.drain();
+    });
+  }
+
+  /**
+   * Current queue state
+   * @return {Object} queued, running, completed and average wait in ms
+   */
+  stats(){
+    return {
+      queued: this.queue.length,
+      running: this.running,
+      completed: this.totals.completed,
+      averageWait: (this.totals.started) ? this.totals.waited / this.totals.started : 0
+    };
+  }
+
+  /**
+   * Start as many queued tasks as the limits allow
+   * @private
+   */
+  drain(){
+    while(this.queue.length && this.running < this.concurrency){
+      const now = Date.now();
+
+      // Forget starts that left the window
+      while(this.started.length && this.started[0] <= now - this.interval){
+        this.started.shift();
+      }
+
+      if(this.started.length >= this.limit){
+        this.wake(this.started[0] + this.interval - now);
+        return;
+      }
+
+      this.run(this.queue.shift(), now);
+    }
+  }
+
+  /**
+   * Run a single queued entry
+   * @private
+   * @param {Object} entry - Queue entry
+   * @param {number} now - Start timestamp
+   */
+  run(entry, now){
+    const wait = now - entry.queuedAt;
+
+    entry.removeListener();
+    this.started.push(now);
+    this.running++;
+    this.totals.started++;
+    this.totals.waited += wait;
+
+    this.emit('start', { wait: wait, queued: this.queue.length, running: this.running });
+
+    const finish = () => {
+      this.running--;
+      this.totals.completed++;
+      this.emit('done', { duration: Date.now() - now, queued: this.queue.length, running: this.running });
+      this.drain();
+    }
+
+    Promise.resolve()
+      .then(() => entry.task())
+      .then(result => {
+        finish();
+        entry.resolve(result);
+      }, error => {
+        finish();
+        entry.reject(error);
+      });
+  }
+
+  /**
+   * Cancel a pending wake up, nothing is left to start
+   * @private
+   */
+  sleep(){
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Retry draining once the oldest start leaves the window
+   * @private
+   * @param {number} delay - Milliseconds to wait
+   */
+  wake(delay){
+    if(this.timer) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, Math.max(delay, 0));
+  }
+}
+
+module.exports = Scheduler;
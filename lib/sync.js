@@ -0,0 +1,247 @@
+/*!
+    LICENSE
+ */
+
+// Imports
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const errors = require('./errors');
+const paginate = require('./paginate');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const rename = util.promisify(fs.rename);
+const unlink = util.promisify(fs.unlink);
+const mkdir = util.promisify(fs.mkdir);
+
+/**
+ * Mirror store writing one JSON file per show.
+ *
+ * A mirror store is any object with `put(id, show)` and `remove(id)` methods
+ * returning promises.
+ */
+class DirectoryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.dir - Directory holding the show files
+   */
+  constructor(options){
+    this.dir = options.dir;
+    this.ready = null;
+  }
+
+  file(id){
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  put(id, show){
+    if(!this.ready) this.ready = mkdir(this.dir, { recursive: true });
+
+    return this.ready.then(() => writeJson(this.file(id), show));
+  }
+
+  remove(id){
+    return unlink(this.file(id)).catch(() => undefined);
+  }
+}
+
+/**
+ * Keeps a local mirror of TVmaze show data up to date.
+ *
+ * The first run crawls the shows index, later runs refetch only the shows the
+ * update feed reports as changed since the last sync. Progress is written to
+ * the checkpoint file after every page or batch, so an interrupted run picks
+ * up where it stopped. Requests go through the client, so its rate limit and
+ * retries apply.
+ */
+class Sync {
+  /**
+   * @param {Object} client - Tvmaze client
+   * @param {Object} options - Sync options
+   * @param {Object} options.store - Mirror store, e.g. a DirectoryStore
+   * @param {string} options.checkpoint - Checkpoint file path
+   * @param {string[]} [options.embed] - Embeds to fetch with each show, e.g. ['episodes', 'cast']
+   * @param {number} [options.concurrency=5] - Shows fetched at once
+   * @param {Object} [requestOptions] - Url request options for every request, e.g. { signal }
+   */
+  constructor(client, options, requestOptions){
+    const opts = options || {};
+
+    if(!opts.store) throw new TypeError('Sync needs a store');
+    if(!opts.checkpoint) throw new TypeError('Sync needs a checkpoint file path');
+
+    this.client = client;
+    this.store = opts.store;
+    this.checkpoint = opts.checkpoint;
+    this.embed = opts.embed;
+    this.concurrency = opts.concurrency || 5;
+    // A cached index page, update feed or show could be older than the
+    // checkpoint, changes in it would never be fetched
+    this.requestOptions = Object.assign({}, requestOptions, { cache: false });
+  }
+
+  /**
+   * Run a full crawl or an incremental update, whichever the checkpoint calls for
+   * @return {Promise} Promise of { mode, stored, removed, syncedAt }
+   */
+  async run(){
+    const state = await this.load();
+
+    return (state.syncedAt && !state.crawl) ? this.update(state) : this.crawl(state);
+  }
+
+  /**
+   * Crawl the shows index page by page
+   * @private
+   * @param {Object} state - Checkpoint state
+   * @return {Promise} Promise of the run summary
+   */
+  async crawl(state){
+    const crawl = state.crawl || { startedAt: now(), afterId: -1 };
+    const result = { mode: 'full', stored: 0, removed: 0 };
+
+    let page = Math.floor((crawl.afterId + 1) / paginate.PAGE_SIZE);
+
+    while(true){
+      let shows;
+
+      try {
+        shows = await this.client.showsIndex(page, this.requestOptions);
+      } catch (error) {
+        if(error instanceof errors.NotFoundError) break;
+        throw error;
+      }
+
+      const fresh = shows.filter(show => show.id > crawl.afterId);
+
+      if(this.embed){
+        result.stored += await this.fetch(fresh.map(show => show.id), result);
+      } else {
+        for(const show of fresh){
+          await this.store.put(show.id, show);
+          result.stored++;
+        }
+      }
+
+      if(fresh.length) crawl.afterId = fresh[fresh.length - 1].id;
+      page++;
+
+      await this.save({ crawl: crawl });
+    }
+
+    // Changes made while crawling are picked up by the next update
+    await this.save({ syncedAt: crawl.startedAt });
+
+    result.syncedAt = crawl.startedAt;
+    return result;
+  }
+
+  /**
+   * Refetch shows changed since the last sync
+   * @private
+   * @param {Object} state - Checkpoint state
+   * @return {Promise} Promise of the run summary
+   */
+  async update(state){
+    const result = { mode: 'incremental', stored: 0, removed: 0 };
+    const pending = state.pending || {
+      startedAt: now(),
+      ids: await this.client.showsChangedSince(state.syncedAt, this.requestOptions)
+    };
+
+    await this.save({ syncedAt: state.syncedAt, pending: pending });
+
+    while(pending.ids.length){
+      const batch = pending.ids.slice(0, this.concurrency);
+
+      result.stored += await this.fetch(batch, result);
+      pending.ids = pending.ids.slice(batch.length);
+
+      await this.save({ syncedAt: state.syncedAt, pending: pending });
+    }
+
+    await this.save({ syncedAt: pending.startedAt });
+
+    result.syncedAt = pending.startedAt;
+    return result;
+  }
+
+  /**
+   * Fetch shows with embeds and store them, deleted shows are removed
+   * @private
+   * @param {number[]} ids - Show IDs
+   * @param {Object} result - Run summary, removed count is updated
+   * @return {Promise} Promise of the number of stored shows
+   */
+  async fetch(ids, result){
+    let stored = 0;
+
+    for(let i = 0; i < ids.length; i += this.concurrency){
+      await Promise.all(ids.slice(i, i + this.concurrency).map(async id => {
+        try {
+          await this.store.put(id, await this.client.show(id, this.embed, this.requestOptions));
+          stored++;
+        } catch (error) {
+          if(!(error instanceof errors.NotFoundError)) throw error;
+
+          await this.store.remove(id);
+          result.removed++;
+        }
+      }));
+    }
+
+    return stored;
+  }
+
+  /**
+   * Read the checkpoint file
+   * @private
+   * @return {Promise} Promise of the state, empty before the first run
+   */
+  load(){
+    return readFile(this.checkpoint, 'utf8')
+      .then(data => JSON.parse(data))
+      .catch(error => {
+        if(error.code === 'ENOENT') return {};
+        throw error;
+      });
+  }
+
+  /**
+   * Replace the checkpoint file
+   * @private
+   * @param {Object} state - New state
+   * @return {Promise} Promise resolving once written
+   */
+  save(state){
+    return writeJson(this.checkpoint, state);
+  }
+}
+
+/**
+ * Current unix time in seconds
+ * @private
+ * @return {number} Timestamp
+ */
+function now(){
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Write JSON through a temporary file so a crash never leaves a partial file
+ * @private
+ * @param {string} file - Target file
+ * @param {*} data - Data to write
+ * @return {Promise} Promise resolving once written
+ */
+function writeJson(file, data){
+  const temp = `${file}.${process.pid}.tmp`;
+
+  return writeFile(temp, JSON.stringify(data))
+    .then(() => rename(temp, file));
+}
+
+Sync.DirectoryStore = DirectoryStore;
+
+module.exports = Sync;
@@ -0,0 +1,144 @@
+/*!
+    LICENSE
+ */
+
+// Imports
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const abort = require('./abort');
+
+// Default Vars
+const REDIRECTS = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+
+/**
+ * Default transport using Node's built-in http and https modules.
+ *
+ * A transport is any function taking a request object and returning a promise
+ * of `{ status, headers, body }`. It resolves for every HTTP status and only
+ * rejects when no response arrives (the error should carry a Node style `code`).
+ * GET redirects, used by TVmaze for lookups, are followed. The Authorization
+ * header is only sent on when the redirect stays on the same host.
+ *
+ * @param {Object} req - Request
+ * @param {string} req.method - HTTP method
+ * @param {string} req.url - Full request url
+ * @param {string} [req.path] - API path the url was built from, e.g. 'shows/396'
+ * @param {Object} [req.headers] - Request headers
+ * @param {string|Buffer} [req.body] - Request body
+ * @param {AbortSignal} [req.signal] - Abort signal, the request is destroyed when it aborts
+ * @param {number} [req.timeout] - Time in ms allowed for the whole request, including the body download
+ * @param {boolean} [req.stream] - Resolve as soon as headers arrive with the body as a readable stream
+ * @return {Promise} Promise of { status, headers, body } where body is a string, or a stream when req.stream is set
+ */
+function httpTransport(req){
+  if(req.signal && req.signal.aborted) return Promise.reject(abort.abortError());
+
+  return new Promise(function (resolve, reject) {
+    const lib = (req.url.startsWith('https:')) ? https : http;
+    const headers = Object.assign({ 'Accept-Encoding': 'gzip, deflate' }, req.headers);
+
+    if(req.body !== undefined) headers['Content-Length'] = Buffer.byteLength(req.body);
+
+    let body = null;
+
+    const outgoing = lib.request(req.url, { method: req.method, headers: headers }, response => {
+      const chunks = [];
+      const redirects = req.redirects || 0;
+
+      if(REDIRECTS.includes(response.statusCode) && response.headers.location && req.method === 'GET' && redirects < MAX_REDIRECTS){
+        response.resume();
+
+        return resolve(httpTransport(redirectRequest(req, response.headers.location, redirects + 1)));
+      }
+
+      response.on('error', reject);
+
+      if(req.stream){
+        body = decode(response);
+        if(body !== response){
+          response.on('error', error => body.destroy(error));
+          body.on('close', () => response.destroy());
+        }
+
+        return resolve({
+          status: response.statusCode,
+          headers: response.headers,
+          body: body
+        });
+      }
+
+      decode(response)
+        .on('data', chunk => chunks.push(chunk))
+        .on('error', reject)
+        .on('end', () => {
+          resolve({
+            status: response.statusCode,
+            headers: response.headers,
+            body: Buffer.concat(chunks).toString('utf8')
+          });
+        });
+    });
+
+    // Reject with the cause before destroying, the socket errors that follow are ignored
+    const fail = error => {
+      reject(error);
+      if(body) body.destroy(error);
+      outgoing.destroy(error);
+    }
+
+    const timer = (req.timeout) ? setTimeout(() => fail(abort.timeoutError(req.timeout)), req.timeout) : null;
+    const removeListener = abort.onAbort(req.signal, () => fail(abort.abortError()));
+
+    outgoing.on('close', () => {
+      clearTimeout(timer);
+      removeListener();
+    });
+
+    outgoing.on('error', reject);
+    outgoing.end(req.body);
+  });
+}
+
+/**
+ * Request following a redirect, credentials are dropped when the host changes
+ * @private
+ * @param {Object} req - Redirected request
+ * @param {string} location - Location header, absolute or relative to the request url
+ * @param {number} redirects - Number of redirects followed so far
+ * @return {Object} Request for the new location
+ */
+function redirectRequest(req, location, redirects){
+  const target = new URL(location, req.url);
+  const headers = Object.assign({}, req.headers);
+
+  if(target.host !== new URL(req.url).host){
+    Object.keys(headers)
+      .filter(name => name.toLowerCase() === 'authorization')
+      .forEach(name => delete headers[name]);
+  }
+
+  return Object.assign({}, req, { url: target.toString(), headers: headers, redirects: redirects });
+}
+
+/**
+ * Unzip a response stream based on its content-encoding
+ * @private
+ * @param {http.IncomingMessage} response - Response stream
+ * @return {stream.Readable} Decoded stream
+ */
+function decode(response){
+  switch(response.headers['content-encoding']){
+    case 'gzip':
+      return response.pipe(zlib.createGunzip());
+    case 'deflate':
+      return response.pipe(zlib.createInflate());
+    default:
+      return response;
+  }
+}
+
+module.exports = {
+  httpTransport: httpTransport
+};
@@ -0,0 +1,56 @@
+/*!
+    LICENSE
+ */
+
+// Update feed windows in seconds, smallest first
+const WINDOWS = [
+  { since: 'day', seconds: 24 * 60 * 60 },
+  { since: 'week', seconds: 7 * 24 * 60 * 60 },
+  { since: 'month', seconds: 30 * 24 * 60 * 60 }
+];
+
+/**
+ * Convert a Date, millisecond or second timestamp to unix seconds
+ * @param {Date|number} timestamp - Sync timestamp, numbers below 1e11 are read as seconds
+ * @return {number} Unix timestamp in seconds
+ */
+function toSeconds(timestamp){
+  if(timestamp instanceof Date) return Math.floor(timestamp.getTime() / 1000);
+
+  const value = Number(timestamp);
+  return (value >= 1e11) ? Math.floor(value / 1000) : value;
+}
+
+/**
+ * Smallest update feed window covering a timestamp
+ * @param {Date|number} timestamp - Previous sync timestamp
+ * @param {number} [now] - Current time in ms, defaults to Date.now()
+ * @return {string|undefined} 'day', 'week' or 'month', undefined when the full feed is needed
+ */
+function sinceWindow(timestamp, now){
+  const age = Math.floor((now || Date.now()) / 1000) - toSeconds(timestamp);
+  const window = WINDOWS.find(item => age <= item.seconds);
+
+  return (window) ? window.since : undefined;
+}
+
+/**
+ * IDs from an update feed changed after a timestamp
+ * @param {Object} updates - Update feed, ID to unix timestamp map
+ * @param {Date|number} timestamp - Previous sync timestamp
+ * @return {number[]} Changed IDs in ID order
+ */
+function changedSince(updates, timestamp){
+  const since = toSeconds(timestamp);
+
+  return Object.keys(updates || {})
+    .filter(id => updates[id] > since)
+    .map(Number)
+    .sort((a, b) => a - b);
+}
+
+module.exports = {
+  toSeconds: toSeconds,
+  sinceWindow: sinceWindow,
+  changedSince: changedSince
+};
@@ -1,34 +1,49 @@
 const assert = require('assert');
+const path = require('path');
 const expect = require("chai").expect;
 const request = require('request-promise');
 const Tvmaze = require("../index");
+const MockServer = require("../lib/mock-server");
 
-const BASE_URL = "https://api.tvmaze.com/";
+// Endpoint tests run against the local stand-in server, serving test/fixtures
+const server = new MockServer({
+	fixtures: path.join(__dirname, 'fixtures'),
+	now: '2019-03-22T00:00:00Z'
+});
+let BASE_URL;
+let client;
+// Fixture records the endpoint tests compare against
+const fixtures = name => require(`./fixtures/${name}.json`);
+const fixtureShow = id => fixtures('shows').find(show => show.id === id);
+const fixturePerson = id => fixtures('people').find(person => person.id === id);
+const fixtureEpisodes = (showid, ids) => ids.map(id => fixtures('episodes')[showid].find(episode => episode.id === id));
 let requestOpts = {
 	method: 'GET',
 	uri: 'https://api.tvmaze.com/79789',
 	json: true
 }
 
+before(function() {
+	return server.start().then(url => {
+		BASE_URL = url;
+		client = Tvmaze.createClient({ baseUrl: url, rateLimit: false });
+	});
+});
+
+after(function() {
+	return server.stop();
+});
+
 // SEARCH
 
 describe('Search functionality', function() {
 
 	it('Search', function(done) {
-		Tvmaze.search("firefly")
+		client.search("firefly")
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "search/shows?q=firefly";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response.map(result => result.show.id)).to.eql([180]);
+			expect(response[0].show).to.eql(fixtureShow(180));
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -36,20 +51,10 @@ describe('Search functionality', function() {
 	});
 
 	it('singleSearch', function(done) {
-		Tvmaze.singleSearch("star vs the forces of evil")
+		client.singleSearch("star vs the forces of evil")
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "singlesearch/shows?q=star vs the forces of evil";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response).to.eql(fixtureShow(321));
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -57,20 +62,10 @@ describe('Search functionality', function() {
 	});
 
 	it('singleSearch with embed', function(done) {
-		Tvmaze.singleSearch("star vs the forces of evil", ['episodes'])
+		client.singleSearch("star vs the forces of evil", ['episodes'])
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "singlesearch/shows?q=star vs the forces of evil&embed=episodes";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response).to.eql(Object.assign({}, fixtureShow(321), { _embedded: { episodes: fixtures('episodes')[321] } }));
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -78,20 +73,11 @@ describe('Search functionality', function() {
 	});
 
 	it('searchPeople', function(done) {
-		Tvmaze.searchPeople("stephen Colbert")
+		client.searchPeople("stephen Colbert")
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "search/people?q=stephen Colbert";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response.map(result => result.person.id)).to.eql([24592]);
+			expect(response[0].person).to.eql(fixturePerson(24592));
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -104,20 +90,10 @@ describe('Search functionality', function() {
 describe('Lookup functions', function() {
 
 	it('lookup', function(done) {
-		Tvmaze.lookup("imdb", "tt2758770")
+		client.lookup("imdb", "tt2758770")
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "lookup/shows?imdb=tt2758770";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response).to.eql(fixtureShow(321));
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -125,20 +101,10 @@ describe('Lookup functions', function() {
 	});
 
 	it('lookupThetvdb', function(done) {
-		Tvmaze.lookupThetvdb("270701")
+		client.lookupThetvdb("270701")
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "lookup/shows?thetvdb=270701";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response).to.eql(fixtureShow(321));
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -146,20 +112,10 @@ describe('Lookup functions', function() {
 	});
 
 	it('lookupImdb', function(done) {
-		Tvmaze.lookupImdb("tt3530232")
+		client.lookupImdb("tt3530232")
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "lookup/shows?imdb=tt3530232";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response).to.eql(fixtureShow(112));
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -167,20 +123,10 @@ describe('Lookup functions', function() {
 	});
 
 	it('lookupTvrage', function(done) {
-		Tvmaze.lookupTvrage("24493")
+		client.lookupTvrage("24493")
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "lookup/shows?tvrage=24493";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response).to.eql(fixtureShow(82));
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -193,20 +139,10 @@ describe('Lookup functions', function() {
 
 describe('Show functions', function() {
 	it('show', function(done) {
-		Tvmaze.show(396)
+		client.show(396)
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "shows/396";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response).to.eql(fixtureShow(396));
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -214,20 +150,11 @@ describe('Show functions', function() {
 	});
 
 	it('show with embed', function(done) {
-		Tvmaze.show(396, ['episodes'])
+		client.show(396, ['episodes'])
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "shows/396?embed=episodes";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response._embedded.episodes.map(episode => episode.id)).to.eql([9014, 9015, 9016, 9018]);
+			expect(response).to.eql(Object.assign({}, fixtureShow(396), { _embedded: { episodes: fixtureEpisodes(396, [9014, 9015, 9016, 9018]) } }));
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -235,20 +162,10 @@ describe('Show functions', function() {
 	});
 
 	it('episodes', function(done) {
-		Tvmaze.episodes(396)
+		client.episodes(396)
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "shows/396/episodes";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response).to.eql(fixtureEpisodes(396, [9014, 9015, 9016, 9018]));
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -256,20 +173,10 @@ describe('Show functions', function() {
 	});
 
 	it('episode', function(done) {
-		Tvmaze.episode(396, 1, 1)
+		client.episode(396, 1, 1)
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "shows/396/episodebynumber?season=1&number=1";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response).to.eql(fixtureEpisodes(396, [9014])[0]);
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -277,20 +184,10 @@ describe('Show functions', function() {
 	});
 
 	it('episodesByDate', function(done) {
-		Tvmaze.episodesByDate(321, "2019-03-15")
+		client.episodesByDate(321, "2019-03-15")
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "shows/321/episodesbydate?date=2019-03-15";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response).to.eql(fixtureEpisodes(321, [8011, 8012]));
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -298,20 +195,11 @@ describe('Show functions', function() {
 	});
 
 	it('seasons', function(done) {
-		Tvmaze.seasons(321)
+		client.seasons(321)
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "shows/321/seasons";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response.map(season => season.number)).to.eql([1, 2, 3, 4]);
+			expect(response).to.eql(fixtures('seasons')[321]);
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -319,20 +207,10 @@ describe('Show functions', function() {
 	});
 
 	it('seasonEpisodes', function(done) {
-		Tvmaze.seasonEpisodes(1)
+		client.seasonEpisodes(1)
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "seasons/1/episodes";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response).to.eql(fixtureEpisodes(1, [1, 2, 3]));
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -340,20 +218,10 @@ describe('Show functions', function() {
 	});
 
 	it('cast', function(done) {
-		Tvmaze.cast(174)
+		client.cast(174)
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "shows/174/cast";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response).to.eql(fixtures('cast')[174]);
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -361,20 +229,10 @@ describe('Show functions', function() {
 	});
 
 	it('crew', function(done) {
-		Tvmaze.crew(174)
+		client.crew(174)
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "shows/174/crew";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response).to.eql(fixtures('crew')[174]);
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -382,20 +240,10 @@ describe('Show functions', function() {
 	});
 
 	it('aliases', function(done) {
-		Tvmaze.aliases(49)
+		client.aliases(49)
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "shows/49/akas";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response).to.eql(fixtures('akas')[49]);
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -403,20 +251,10 @@ describe('Show functions', function() {
 	});
 
 	it('showIndex', function(done) {
-		Tvmaze.showsIndex(1)
+		client.showsIndex(1)
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "shows?page=1";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(response).to.eql([fixtureShow(321), fixtureShow(396)]);
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -424,20 +262,11 @@ describe('Show functions', function() {
 	});
 
 	it('showUpdates', function(done) {
-		Tvmaze.showUpdates()
+		client.showUpdates()
 		.then(response => {
-
-			requestOpts.uri = BASE_URL + "updates/shows";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
-
+			expect(Object.keys(response)).to.eql(['1', '49', '82', '112', '174', '180', '321', '396', '1000']);
+			expect(response[396]).to.equal(fixtureShow(396).updated);
+			done();
 		})
 		.catch(error => {
 			done(error);
@@ -449,137 +278,2148 @@ describe('Show functions', function() {
 
 describe('People functions', function() {
 	it('person', function(done) {
-		Tvmaze.person(37135)
+		client.person(37135)
 		.then(response => {
+			expect(response).to.eql(fixturePerson(37135));
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
 
-			requestOpts.uri = BASE_URL + "people/37135";
-
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
+	it('person embed', function(done) {
+		client.person(37135, ['castcredits'])
+		.then(response => {
+			expect(response).to.eql(Object.assign({}, fixturePerson(37135), { _embedded: { castcredits: fixtures('castcredits')[37135] } }));
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
 
+	it('personCastCredits', function(done) {
+		client.personCastCredits(37135)
+		.then(response => {
+			expect(response).to.eql(fixtures('castcredits')[37135]);
+			done();
 		})
 		.catch(error => {
 			done(error);
 		})
 	});
 
-	it('person embed', function(done) {
-		Tvmaze.person(37135, ['castcredits'])
+	it('personCrewCredits', function(done) {
+		client.personCrewCredits(37135)
 		.then(response => {
+			expect(response).to.eql(fixtures('crewcredits')[37135]);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+});
 
-			requestOpts.uri = BASE_URL + "people/37135?embed=castcredits";
 
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
+// Scheduling
+
+describe('Schedule functions', function() {
 
+	it('schedule', function(done) {
+		client.schedule("GB", "2019-03-23")
+		.then(response => {
+			expect(response).to.eql(fixtureEpisodes(396, [9017, 9016]).map(episode => Object.assign({}, episode, { show: fixtureShow(396) })));
+			done();
 		})
 		.catch(error => {
 			done(error);
 		})
 	});
 
-	it('personCastCredits', function(done) {
-		Tvmaze.personCastCredits(37135)
+	it('fullSchedule', function(done) {
+		this.timeout(15000);
+
+		client.fullSchedule()
 		.then(response => {
+			expect(response.map(episode => episode.id)).to.eql([9017, 9016, 5006, 9018, 8013, 4005]);
+			expect(response[0].show).to.eql(fixtureShow(396));
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+});
 
-			requestOpts.uri = BASE_URL + "people/37135/castcredits";
+// CLIENT
 
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
+describe('Client instances', function() {
+	const http = require('http');
+	let server;
+	let lastRequest;
+
+	before(function(done) {
+		server = http.createServer((req, res) => {
+			lastRequest = req;
+			res.setHeader('Content-Type', 'application/json');
+			res.end(JSON.stringify({ url: req.url }));
+		});
+		server.listen(0, '127.0.0.1', done);
+	});
+
+	after(function(done) {
+		server.close(done);
+	});
+
+	it('createClient with custom baseUrl and headers', function(done) {
+		const client = Tvmaze.createClient({
+			baseUrl: `http://127.0.0.1:${server.address().port}/`,
+			headers: { 'X-Test': 'yes' },
+			userAgent: 'test-agent'
+		});
 
+		client.show(396)
+		.then(response => {
+			expect(response).to.eql({ url: '/shows/396' });
+			expect(lastRequest.headers['x-test']).to.equal('yes');
+			expect(lastRequest.headers['user-agent']).to.equal('test-agent');
+			done();
 		})
 		.catch(error => {
 			done(error);
 		})
 	});
 
-	it('personCrewCredits', function(done) {
-		Tvmaze.personCrewCredits(37135)
-		.then(response => {
+	it('createClient instances are independent', function() {
+		const client = Tvmaze.createClient({ baseUrl: 'localhost/', https: false });
 
-			requestOpts.uri = BASE_URL + "people/37135/crewcredits";
+		expect(client.defaults.baseUrl).to.equal('localhost/');
+		expect(Tvmaze.defaults.baseUrl).to.equal('api.tvmaze.com/');
+		expect(Tvmaze.defaults.https).to.equal(true);
+	});
+});
 
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
+// RATE LIMITING
+
+describe('Rate limiting', function() {
+	const Scheduler = require('../lib/scheduler');
+
+	it('spreads calls to stay within the budget', function(done) {
+		const scheduler = new Scheduler({ limit: 2, interval: 100, concurrency: 5 });
+		const starts = [];
+		const task = () => {
+			starts.push(Date.now());
+			return Promise.resolve(starts.length);
+		};
+
+		Promise.all([1, 2, 3, 4].map(() => scheduler.schedule(task)))
+		.then(results => {
+			expect(results).to.have.lengthOf(4);
+			expect(starts[2] - starts[0]).to.be.at.least(95);
+			expect(starts[3] - starts[1]).to.be.at.least(95);
+			expect(scheduler.stats()).to.include({ queued: 0, running: 0, completed: 4 });
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
 
+	it('caps concurrency', function(done) {
+		const scheduler = new Scheduler({ limit: 100, interval: 1000, concurrency: 2 });
+		let peak = 0;
+		const task = () => new Promise(resolve => {
+			peak = Math.max(peak, scheduler.stats().running);
+			setTimeout(resolve, 10);
+		});
+
+		Promise.all([1, 2, 3, 4, 5].map(() => scheduler.schedule(task)))
+		.then(() => {
+			expect(peak).to.equal(2);
+			done();
 		})
 		.catch(error => {
 			done(error);
 		})
 	});
+
+	it('clients queue through their own scheduler', function() {
+		expect(Tvmaze.scheduler).to.be.an.instanceof(Scheduler);
+		expect(Tvmaze.createClient({ rateLimit: false }).scheduler).to.equal(null);
+	});
 });
 
+// RETRY
+
+describe('Retry', function() {
+	const http = require('http');
+	const retry = require('../lib/retry');
+	let server;
+	let client;
+	let responses;
+	let calls;
+
+	before(function(done) {
+		server = http.createServer((req, res) => {
+			const next = responses.shift() || { status: 200 };
+			calls++;
+			res.writeHead(next.status, Object.assign({ 'Content-Type': 'application/json' }, next.headers));
+			res.end(JSON.stringify({ status: next.status }));
+		});
+		server.listen(0, '127.0.0.1', () => {
+			client = Tvmaze.createClient({
+				baseUrl: `http://127.0.0.1:${server.address().port}/`,
+				retry: { retries: 2, minDelay: 1 }
+			});
+			done();
+		});
+	});
 
-// Scheduling
+	beforeEach(function() {
+		calls = 0;
+	});
 
-describe('Schedule functions', function() {
+	after(function(done) {
+		server.close(done);
+	});
 
-	it('schedule', function(done) {
-		Tvmaze.schedule("GB", "2019-03-23")
-		.then(response => {
+	it('retries 429 and 503 responses', function(done) {
+		responses = [{ status: 429, headers: { 'Retry-After': '0' } }, { status: 503 }];
 
-			requestOpts.uri = BASE_URL + "schedule?countrycode=GB&date=2019-03-23";
+		client.show(1)
+		.then(response => {
+			expect(response).to.eql({ status: 200 });
+			expect(calls).to.equal(3);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
 
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
+	it('fails at once when Retry-After exceeds maxDelay', function(done) {
+		responses = [{ status: 429, headers: { 'Retry-After': '86400' } }, { status: 200 }];
 
+		client.show(1)
+		.then(() => {
+			done(new Error('Expected rejection'));
+		})
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.RateLimitError);
+			expect(calls).to.equal(1);
+			responses = [];
+			done();
 		})
 		.catch(error => {
 			done(error);
 		})
 	});
 
-	it('fullSchedule', function(done) {
-		this.timeout(15000);
-
-		Tvmaze.fullSchedule()
-		.then(response => {
+	it('gives up after the retry budget', function(done) {
+		responses = [{ status: 503 }, { status: 503 }, { status: 503 }, { status: 200 }];
 
-			requestOpts.uri = BASE_URL + "schedule/full";
+		client.show(1)
+		.then(() => {
+			done(new Error('Expected rejection'));
+		})
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.TvmazeError);
+			expect(error.body).to.eql({ status: 503 });
+			expect(calls).to.equal(3);
+			responses = [];
+			done();
+		})
+	});
 
-			request(requestOpts)
-			.then(expected => {
-				expect(response).to.eql(expected);
-				done();
-			})
-			.catch(error => {
-				done(error);
-			})
+	it('does not retry other errors or when disabled per call', function(done) {
+		responses = [{ status: 404 }];
 
+		client.show(1)
+		.catch(() => {
+			responses = [{ status: 503 }];
+			return client.show(1, null, { retry: false });
+		})
+		.then(() => {
+			done(new Error('Expected rejection'));
 		})
 		.catch(error => {
-			done(error);
+			expect(error.status).to.equal(503);
+			expect(calls).to.equal(2);
+			done();
 		})
 	});
 
+	it('reads Retry-After seconds and dates', function() {
+		expect(retry.retryAfter({ 'retry-after': '2' })).to.equal(2000);
+		expect(retry.retryAfter({ 'retry-after': new Date(Date.now() - 1000).toUTCString() })).to.equal(0);
+		expect(retry.retryAfter({})).to.equal(null);
+	});
+});
+
+// ERRORS
+
+describe('Errors', function() {
+	const http = require('http');
+	let server;
+	let client;
+
+	before(function(done) {
+		server = http.createServer((req, res) => {
+			const status = parseInt(req.url.match(/\d{3}/)[0], 10);
+			res.writeHead(status, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify({ status: status }));
+		});
+		server.listen(0, '127.0.0.1', () => {
+			client = Tvmaze.createClient({
+				baseUrl: `http://127.0.0.1:${server.address().port}/`,
+				retry: false
+			});
+			done();
+		});
+	});
+
+	after(function(done) {
+		server.close(done);
+	});
+
+	it('rejects with NotFoundError on 404', function(done) {
+		client.lookupImdb("404")
+		.then(() => {
+			done(new Error('Expected rejection'));
+		})
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.NotFoundError);
+			expect(error).to.be.an.instanceof(Tvmaze.TvmazeError);
+			expect(error.status).to.equal(404);
+			expect(error.path).to.equal('lookup/shows');
+			expect(error.query).to.eql({ imdb: '404' });
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('rejects with RateLimitError on 429', function(done) {
+		client.show(429)
+		.then(() => {
+			done(new Error('Expected rejection'));
+		})
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.RateLimitError);
+			expect(error.body).to.eql({ status: 429 });
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('rejects with NetworkError when no response arrives', function(done) {
+		Tvmaze.createClient({ baseUrl: 'http://127.0.0.1:1/', retry: false }).show(1)
+		.then(() => {
+			done(new Error('Expected rejection'));
+		})
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.NetworkError);
+			expect(error.status).to.equal(undefined);
+			expect(error.cause).to.be.an.instanceof(Error);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+});
+
+// TRANSPORT
+
+describe('Transport', function() {
+	it('uses an injected transport', function(done) {
+		const seen = [];
+		const client = Tvmaze.createClient({
+			rateLimit: false,
+			transport: req => {
+				seen.push(req);
+				return Promise.resolve({ status: 200, headers: {}, body: '{"id":396}' });
+			}
+		});
+
+		client.show(396, ['episodes'])
+		.then(response => {
+			expect(response).to.eql({ id: 396 });
+			expect(seen[0].method).to.equal('GET');
+			expect(seen[0].url).to.equal('https://api.tvmaze.com/shows/396?embed%5B%5D=episodes');
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('maps transport statuses and failures to errors', function(done) {
+		const client = Tvmaze.createClient({
+			rateLimit: false,
+			retry: false,
+			transport: req => (req.url.endsWith('/1'))
+				? Promise.resolve({ status: 404, headers: { 'Content-Type': 'application/json' }, body: { name: 'Not Found' } })
+				: Promise.reject(Object.assign(new Error('timed out'), { code: 'ETIMEDOUT' }))
+		});
+
+		client.show(1)
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.NotFoundError);
+			expect(error.body).to.eql({ name: 'Not Found' });
+			expect(error.headers).to.have.property('content-type');
+			return client.show(2);
+		})
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.TimeoutError);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('follows redirects, keeping credentials on the same host only', function(done) {
+		const http = require('http');
+		const seen = [];
+		const other = http.createServer((req, res) => {
+			seen.push(['other', req.url, req.headers.authorization]);
+			res.writeHead(200, { 'Content-Type': 'application/json' });
+			res.end('{"id":2}');
+		});
+		const server = http.createServer((req, res) => {
+			seen.push(['api', req.url, req.headers.authorization]);
+			if(req.url.startsWith('/lookup/shows')){
+				res.writeHead(301, { Location: '/shows/1' });
+				return res.end();
+			}
+			if(req.url === '/shows/2'){
+				res.writeHead(302, { Location: `http://127.0.0.1:${other.address().port}/shows/2` });
+				return res.end();
+			}
+			res.writeHead(200, { 'Content-Type': 'application/json' });
+			res.end('{"id":1}');
+		});
+		const close = (error) => server.close(() => other.close(() => done(error)));
+
+		other.listen(0, '127.0.0.1', () => server.listen(0, '127.0.0.1', () => {
+			const client = Tvmaze.createClient({
+				baseUrl: `http://127.0.0.1:${server.address().port}/`,
+				headers: { Authorization: 'Basic c2VjcmV0' }
+			});
+
+			client.lookupImdb('tt2758770')
+			.then(response => {
+				expect(response).to.eql({ id: 1 });
+				return client.show(2);
+			})
+			.then(response => {
+				expect(response).to.eql({ id: 2 });
+				expect(seen).to.eql([
+					['api', '/lookup/shows?imdb=tt2758770', 'Basic c2VjcmV0'],
+					['api', '/shows/1', 'Basic c2VjcmV0'],
+					['api', '/shows/2', 'Basic c2VjcmV0'],
+					['other', '/shows/2', undefined]
+				]);
+				close();
+			})
+			.catch(close)
+		}));
+	});
+
+	it('decodes gzip responses', function(done) {
+		const http = require('http');
+		const zlib = require('zlib');
+		const server = http.createServer((req, res) => {
+			res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' });
+			res.end(zlib.gzipSync(JSON.stringify({ gzip: req.headers['accept-encoding'] })));
+		});
+
+		server.listen(0, '127.0.0.1', () => {
+			Tvmaze.createClient({ baseUrl: `http://127.0.0.1:${server.address().port}/` }).show(1)
+			.then(response => {
+				expect(response).to.eql({ gzip: 'gzip, deflate' });
+				server.close(done);
+			})
+			.catch(error => {
+				server.close(() => done(error));
+			})
+		});
+	});
+});
+
+// CACHE
+
+describe('Cache', function() {
+	const fs = require('fs');
+	const os = require('os');
+	const path = require('path');
+	const Cache = require('../lib/cache');
+	let calls;
+
+	const transport = req => {
+		calls++;
+		return Promise.resolve({ status: 200, headers: {}, body: JSON.stringify({ url: req.url, call: calls }) });
+	};
+
+	beforeEach(function() {
+		calls = 0;
+	});
+
+	it('serves repeated calls from the cache', function(done) {
+		const client = Tvmaze.createClient({ rateLimit: false, transport: transport, cache: true });
+
+		client.show(396)
+		.then(() => client.show(396))
+		.then(response => {
+			expect(response.call).to.equal(1);
+			return client.show(396, ['cast']);
+		})
+		.then(response => {
+			expect(response.call).to.equal(2);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('keeps clients on different base urls apart in a shared store', function(done) {
+		const store = new Cache.MemoryStore();
+		const mock = Tvmaze.createClient({ rateLimit: false, transport: transport, cache: { store: store }, baseUrl: 'http://127.0.0.1:8080/' });
+		const live = Tvmaze.createClient({ rateLimit: false, transport: transport, cache: { store: store } });
+
+		mock.show(396)
+		.then(() => live.show(396))
+		.then(response => {
+			expect(response).to.eql({ url: 'https://api.tvmaze.com/shows/396', call: 2 });
+			return live.show(396, null, { https: false });
+		})
+		.then(response => {
+			expect(response).to.eql({ url: 'http://api.tvmaze.com/shows/396', call: 3 });
+			return Promise.all([mock.show(396), live.show(396)]);
+		})
+		.then(responses => {
+			expect(responses.map(response => response.call)).to.eql([1, 2]);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('skips or refreshes the cache per call', function(done) {
+		const client = Tvmaze.createClient({ rateLimit: false, transport: transport, cache: true });
+
+		client.seasons(1)
+		.then(() => client.seasons(1, { cache: false }))
+		.then(response => {
+			expect(response.call).to.equal(2);
+			return client.seasons(1, { refresh: true });
+		})
+		.then(response => {
+			expect(response.call).to.equal(3);
+			return client.seasons(1);
+		})
+		.then(response => {
+			expect(response.call).to.equal(3);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('revalidates stale entries with ETag and Last-Modified', function(done) {
+		const seen = [];
+		const client = Tvmaze.createClient({
+			rateLimit: false,
+			cache: { ttl: { fullSchedule: 1 } },
+			transport: req => {
+				seen.push(req.headers);
+				return Promise.resolve((req.headers['If-None-Match'] === '"v1"')
+					? { status: 304, headers: {}, body: '' }
+					: { status: 200, headers: { ETag: '"v1"', 'Last-Modified': 'Sat, 23 Mar 2019 00:00:00 GMT' }, body: '[{"id":1}]' });
+			}
+		});
+
+		client.fullSchedule()
+		.then(() => new Promise(resolve => setTimeout(resolve, 5)))
+		.then(() => client.fullSchedule())
+		.then(() => new Promise(resolve => setTimeout(resolve, 5)))
+		.then(() => client.fullSchedule())
+		.then(response => {
+			expect(response).to.eql([{ id: 1 }]);
+			expect(seen).to.have.lengthOf(3);
+			expect(seen[0]).to.not.have.property('If-None-Match');
+			// The 304 sent no validators, the stored ones are kept for the next revalidation
+			[seen[1], seen[2]].forEach(headers => expect(headers).to.include({
+				'If-None-Match': '"v1"',
+				'If-Modified-Since': 'Sat, 23 Mar 2019 00:00:00 GMT'
+			}));
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('uses per endpoint TTLs', function() {
+		const cache = new Cache({ ttl: { schedule: 1000 } });
+
+		expect(cache.ttl('schedule')).to.equal(1000);
+		expect(cache.ttl('people/1')).to.equal(24 * 60 * 60 * 1000);
+		expect(cache.ttl('shows/1/akas')).to.equal(24 * 60 * 60 * 1000);
+		expect(cache.ttl('schedule/full')).to.equal(60 * 60 * 1000);
+	});
+
+	it('evicts the least recently used memory entry', function(done) {
+		const store = new Cache.MemoryStore({ max: 2 });
+
+		store.set('a', 1)
+		.then(() => store.set('b', 2))
+		.then(() => store.get('a'))
+		.then(() => store.set('c', 3))
+		.then(() => Promise.all([store.get('a'), store.get('b'), store.get('c')]))
+		.then(values => {
+			expect(values).to.eql([1, undefined, 3]);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('stores entries on the file system', function(done) {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tvmaze-test-'));
+		const client = Tvmaze.createClient({
+			rateLimit: false,
+			transport: transport,
+			cache: { store: new Tvmaze.FileStore({ dir: dir }) }
+		});
+
+		client.cast(1)
+		.then(() => client.cast(1))
+		.then(response => {
+			expect(response.call).to.equal(1);
+			expect(fs.readdirSync(dir)).to.have.lengthOf(1);
+			fs.unlinkSync(path.join(dir, fs.readdirSync(dir)[0]));
+			fs.rmdirSync(dir);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+});
+
+// PAGINATION
+
+describe('Pagination', function() {
+	const pages = {
+		0: [{ id: 1 }, { id: 2 }],
+		1: [{ id: 250 }, { id: 251 }],
+		2: [{ id: 500 }]
+	};
+	let requested;
+
+	const client = Tvmaze.createClient({
+		rateLimit: false,
+		retry: false,
+		transport: req => {
+			const page = Number((req.url.match(/page=(\d+)/) || [0, 0])[1]);
+			requested.push(page);
+			return Promise.resolve((pages[page])
+				? { status: 200, headers: {}, body: JSON.stringify(pages[page]) }
+				: { status: 404, headers: {}, body: '{"name":"Not Found"}' });
+		}
+	});
+
+	const collect = iterable => {
+		const ids = [];
+		const iterator = iterable[Symbol.asyncIterator]();
+		const step = () => iterator.next().then(result => {
+			if(result.done) return ids;
+			ids.push(result.value.id);
+			return step();
+		});
+		return step();
+	};
+
+	beforeEach(function() {
+		requested = [];
+	});
+
+	it('iterateShows yields every show until the 404', function(done) {
+		collect(client.iterateShows())
+		.then(ids => {
+			expect(ids).to.eql([1, 2, 250, 251, 500]);
+			expect(requested).to.eql([0, 1, 2, 3]);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('iterateShows resumes after an ID with concurrency', function(done) {
+		collect(client.iterateShows({ afterId: 250, concurrency: 3 }))
+		.then(ids => {
+			expect(ids).to.eql([251, 500]);
+			expect(requested[0]).to.equal(1);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('iteratePeople walks the people index from a page', function(done) {
+		collect(client.iteratePeople({ startPage: 1 }))
+		.then(ids => {
+			expect(ids).to.eql([250, 251, 500]);
+			expect(requested).to.eql([1, 2, 3]);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+});
+
+// WEB SCHEDULE
+
+describe('Web schedule', function() {
+	const seen = [];
+	const client = Tvmaze.createClient({
+		rateLimit: false,
+		transport: req => {
+			seen.push(req.url);
+			const body = (req.url.indexOf('schedule/web') !== -1)
+				? [{ id: 2, airstamp: '2019-03-23T08:00:00+00:00', _embedded: { show: { id: 20 } } }]
+				: [{ id: 1, airstamp: '2019-03-23T20:00:00+00:00', show: { id: 10 } }, { id: 3, airstamp: '2019-03-23T01:00:00+00:00', show: { id: 30 } }];
+			return Promise.resolve({ status: 200, headers: {}, body: JSON.stringify(body) });
+		}
+	});
+
+	it('webSchedule requests the global and country variants', function(done) {
+		client.webSchedule("2019-03-23")
+		.then(() => client.webSchedule("2019-03-23", "US"))
+		.then(() => client.webSchedule("2019-03-23", ""))
+		.then(() => {
+			expect(seen.slice(-3)).to.eql([
+				'https://api.tvmaze.com/schedule/web?date=2019-03-23',
+				'https://api.tvmaze.com/schedule/web?date=2019-03-23&country=US',
+				'https://api.tvmaze.com/schedule/web?date=2019-03-23&country='
+			]);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('combinedSchedule merges TV and web entries by airstamp', function(done) {
+		client.combinedSchedule("GB", "2019-03-23")
+		.then(response => {
+			expect(response.map(item => item.id)).to.eql([3, 2, 1]);
+			expect(response[1].show).to.eql({ id: 20 });
+			expect(seen.slice(-2)).to.eql([
+				'https://api.tvmaze.com/schedule?country=GB&date=2019-03-23',
+				'https://api.tvmaze.com/schedule/web?date=2019-03-23&country=GB'
+			]);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+});
+
+// EPISODES
+
+describe('Episode functions', function() {
+	const seen = [];
+	const client = Tvmaze.createClient({
+		rateLimit: false,
+		transport: req => {
+			seen.push(req.url);
+			return Promise.resolve({ status: 200, headers: {}, body: '[]' });
+		}
+	});
+
+	it('episodeById, episodeGuestCast and episodeGuestCrew', function(done) {
+		client.episodeById(1)
+		.then(() => client.episodeById(1, ['show', 'guestcast']))
+		.then(() => client.episodeGuestCast(1))
+		.then(() => client.episodeGuestCrew(1))
+		.then(() => {
+			expect(seen).to.eql([
+				'https://api.tvmaze.com/episodes/1',
+				'https://api.tvmaze.com/episodes/1?embed%5B%5D=show&embed%5B%5D=guestcast',
+				'https://api.tvmaze.com/episodes/1/guestcast',
+				'https://api.tvmaze.com/episodes/1/guestcrew'
+			]);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+});
+
+// PEOPLE AND CHARACTERS
+
+describe('Person and character functions', function() {
+	const seen = [];
+	const client = Tvmaze.createClient({
+		rateLimit: false,
+		transport: req => {
+			seen.push(req.url);
+			return Promise.resolve({ status: 200, headers: {}, body: '{}' });
+		}
+	});
+
+	it('personGuestCastCredits and character', function(done) {
+		client.personGuestCastCredits(37135)
+		.then(() => client.personGuestCastCredits(37135, ['episode']))
+		.then(() => client.character(1))
+		.then(() => {
+			expect(seen).to.eql([
+				'https://api.tvmaze.com/people/37135/guestcastcredits',
+				'https://api.tvmaze.com/people/37135/guestcastcredits?embed%5B%5D=episode',
+				'https://api.tvmaze.com/characters/1'
+			]);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+});
+
+// IMAGES
+
+describe('Show images', function() {
+	const images = [
+		{ id: 1, type: 'poster', main: false, resolutions: { original: { url: 'p1', width: 680, height: 1000 }, medium: { url: 'p1m', width: 210, height: 295 } } },
+		{ id: 2, type: 'poster', main: true, resolutions: { original: { url: 'p2', width: 340, height: 500 } } },
+		{ id: 3, type: 'background', main: false, resolutions: { original: { url: 'b3', width: 1280, height: 720 } } },
+		{ id: 4, type: 'background', main: false, resolutions: { original: { url: 'b4', width: 1920, height: 1080 } } }
+	];
+
+	it('showImages requests the images endpoint', function(done) {
+		const client = Tvmaze.createClient({
+			rateLimit: false,
+			transport: req => Promise.resolve({ status: 200, headers: {}, body: JSON.stringify({ url: req.url }) })
+		});
+
+		client.showImages(1)
+		.then(response => {
+			expect(response.url).to.equal('https://api.tvmaze.com/shows/1/images');
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('bestImage prefers main images, then the largest', function() {
+		expect(Tvmaze.bestImage(images, 'poster').id).to.equal(2);
+		expect(Tvmaze.bestImage(images, 'background')).to.eql({
+			id: 4, type: 'background', main: false, size: 'original', url: 'b4', width: 1920, height: 1080
+		});
+		expect(Tvmaze.bestImage(images, 'banner')).to.equal(null);
+	});
+
+	it('bestImage falls back when a size is missing', function() {
+		const image = Tvmaze.bestImage(images, 'poster', 'medium');
+
+		expect(image.id).to.equal(2);
+		expect(image.size).to.equal('original');
+		expect(Tvmaze.bestImage(images.slice(0, 1), 'poster', 'medium').url).to.equal('p1m');
+	});
+});
+
+// UPDATES
+
+describe('Update feeds', function() {
+	const now = Math.floor(Date.now() / 1000);
+	const seen = [];
+	const client = Tvmaze.createClient({
+		rateLimit: false,
+		transport: req => {
+			seen.push(req.url);
+			return Promise.resolve({ status: 200, headers: {}, body: JSON.stringify({ 1: now - 7200, 5: now - 60, 3: now - 30 }) });
+		}
+	});
+
+	it('showUpdates and peopleUpdates pass the since filter', function(done) {
+		client.showUpdates()
+		.then(() => client.showUpdates({ since: 'day' }))
+		.then(() => client.peopleUpdates({ since: 'month' }))
+		.then(() => {
+			expect(seen.slice(0, 3)).to.eql([
+				'https://api.tvmaze.com/updates/shows',
+				'https://api.tvmaze.com/updates/shows?since=day',
+				'https://api.tvmaze.com/updates/people?since=month'
+			]);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('showsChangedSince returns IDs changed after a sync', function(done) {
+		seen.length = 0;
+
+		client.showsChangedSince(new Date((now - 3600) * 1000))
+		.then(ids => {
+			expect(ids).to.eql([3, 5]);
+			expect(seen).to.eql(['https://api.tvmaze.com/updates/shows?since=day']);
+			return client.peopleChangedSince(now - 60 * 24 * 60 * 60);
+		})
+		.then(ids => {
+			expect(ids).to.eql([1, 3, 5]);
+			expect(seen[1]).to.equal('https://api.tvmaze.com/updates/people');
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+});
+
+// SYNC
+
+describe('Mirror sync', function() {
+	const fs = require('fs');
+	const os = require('os');
+	const path = require('path');
+	let dir;
+	let checkpoint;
+	let updated;
+
+	const client = Tvmaze.createClient({
+		rateLimit: false,
+		retry: false,
+		transport: req => {
+			const route = req.url.replace('https://api.tvmaze.com/', '');
+			const reply = (status, body) => Promise.resolve({ status: status, headers: {}, body: JSON.stringify(body) });
+
+			if(route === 'shows' || route === 'shows?page=0') return reply(200, [{ id: 1, v: 1 }, { id: 2, v: 1 }]);
+			if(route === 'shows?page=1') return reply(200, [{ id: 300, v: 1 }]);
+			if(route.startsWith('shows?page=')) return reply(404, {});
+			if(route.startsWith('updates/shows')) return reply(200, updated);
+			if(route === 'shows/2?embed%5B%5D=cast') return reply(200, { id: 2, v: 2 });
+			return reply(404, {});
+		}
+	});
+
+	const memoryStore = () => ({
+		shows: {},
+		put: function(id, show) { this.shows[id] = show; return Promise.resolve(); },
+		remove: function(id) { delete this.shows[id]; return Promise.resolve(); }
+	});
+
+	beforeEach(function() {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tvmaze-sync-'));
+		checkpoint = path.join(dir, 'checkpoint.json');
+	});
+
+	afterEach(function() {
+		fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+		fs.rmdirSync(dir);
+	});
+
+	it('crawls the index first, then refetches changed shows', function(done) {
+		const store = memoryStore();
+
+		client.syncShows({ store: store, checkpoint: checkpoint, embed: null })
+		.then(summary => {
+			expect(summary).to.include({ mode: 'full', stored: 3 });
+			expect(Object.keys(store.shows)).to.eql(['1', '2', '300']);
+
+			updated = { 1: summary.syncedAt - 100, 2: summary.syncedAt + 100, 300: summary.syncedAt + 100 };
+			return client.syncShows({ store: store, checkpoint: checkpoint, embed: ['cast'] });
+		})
+		.then(summary => {
+			expect(summary).to.include({ mode: 'incremental', stored: 1, removed: 1 });
+			expect(store.shows).to.eql({ 1: { id: 1, v: 1 }, 2: { id: 2, v: 2 } });
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('resumes an interrupted crawl from the checkpoint', function(done) {
+		const store = memoryStore();
+		const put = store.put;
+		store.put = function(id, show) {
+			if(id === 300) return Promise.reject(new Error('crash'));
+			return put.call(this, id, show);
+		};
+
+		client.syncShows({ store: store, checkpoint: checkpoint })
+		.then(() => {
+			done(new Error('Expected rejection'));
+		})
+		.catch(error => {
+			expect(error.message).to.equal('crash');
+			expect(JSON.parse(fs.readFileSync(checkpoint, 'utf8')).crawl.afterId).to.equal(2);
+
+			store.put = put;
+			store.shows = {};
+			return client.syncShows({ store: store, checkpoint: checkpoint });
+		})
+		.then(summary => {
+			expect(summary).to.include({ mode: 'full', stored: 1 });
+			expect(Object.keys(store.shows)).to.eql(['300']);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('bypasses the response cache of the client', function(done) {
+		const store = memoryStore();
+		let version = 1;
+		const cached = Tvmaze.createClient({
+			rateLimit: false,
+			retry: false,
+			cache: true,
+			transport: req => {
+				const route = req.url.replace('https://api.tvmaze.com/', '');
+				const reply = (status, body) => Promise.resolve({ status: status, headers: {}, body: JSON.stringify(body) });
+
+				if(route === 'shows' || route === 'shows?page=0') return reply(200, [{ id: 1, v: version }]);
+				if(route.startsWith('shows?page=')) return reply(404, {});
+				if(route.startsWith('updates/shows')) return reply(200, updated);
+				if(route === 'shows/1') return reply(200, { id: 1, v: version });
+				return reply(404, {});
+			}
+		});
+
+		cached.showsIndex(0)
+		.then(() => {
+			version = 2;
+			return cached.syncShows({ store: store, checkpoint: checkpoint });
+		})
+		.then(summary => {
+			expect(store.shows).to.eql({ 1: { id: 1, v: 2 } });
+
+			updated = {};
+			return Promise.all([cached.show(1), cached.showsChangedSince(summary.syncedAt)]).then(() => summary);
+		})
+		.then(summary => {
+			version = 3;
+			updated = { 1: summary.syncedAt + 100 };
+			return cached.syncShows({ store: store, checkpoint: checkpoint });
+		})
+		.then(summary => {
+			expect(summary).to.include({ mode: 'incremental', stored: 1 });
+			expect(store.shows).to.eql({ 1: { id: 1, v: 3 } });
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('DirectoryStore writes one file per show', function(done) {
+		const store = new Tvmaze.DirectoryStore({ dir: path.join(dir, 'shows') });
+
+		store.put(1, { id: 1 })
+		.then(() => {
+			expect(JSON.parse(fs.readFileSync(path.join(dir, 'shows', '1.json'), 'utf8'))).to.eql({ id: 1 });
+			return store.remove(1);
+		})
+		.then(() => {
+			fs.rmdirSync(path.join(dir, 'shows'));
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+});
+
+// USER API
+
+describe('User API', function() {
+	const seen = [];
+	const client = Tvmaze.createClient({
+		rateLimit: false,
+		cache: true,
+		auth: { username: 'user', apiKey: 'key' },
+		transport: req => {
+			seen.push(req);
+			return Promise.resolve((req.method === 'DELETE')
+				? { status: 204, headers: {}, body: '' }
+				: { status: 200, headers: {}, body: req.body || '[]' });
+		}
+	});
+
+	beforeEach(function() {
+		seen.length = 0;
+	});
+
+	it('sends basic auth and never caches', function(done) {
+		client.followedShows(['show'])
+		.then(() => client.followedShows(['show']))
+		.then(response => {
+			expect(response).to.eql([]);
+			expect(seen).to.have.lengthOf(2);
+			expect(seen[0].url).to.equal('https://api.tvmaze.com/v1/user/follows/shows?embed%5B%5D=show');
+			expect(seen[0].headers['Authorization']).to.equal('Basic ' + Buffer.from('user:key').toString('base64'));
+			return client.show(1);
+		})
+		.then(() => {
+			expect(seen[2].url).to.equal('https://api.tvmaze.com/shows/1');
+			expect(seen[2].headers).to.not.have.property('Authorization');
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('rejects unknown episode mark types without sending', function(done) {
+		Promise.all(['skiped', 3, -1, 1.5].map(type => client.markEpisode(1, type).then(() => null, error => error)))
+		.then(results => {
+			results.forEach(error => expect(error).to.be.an.instanceof(TypeError));
+			expect(results[0].message).to.contain('"skiped"');
+			expect(seen).to.have.lengthOf(0);
+			return client.markEpisode(1);
+		})
+		.then(response => {
+			expect(response.type).to.equal(0);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('uses PUT and DELETE with JSON bodies', function(done) {
+		client.followPerson(37135)
+		.then(() => client.unfollowNetwork(1))
+		.then(() => client.markEpisode(1, 'skipped', 1553299200))
+		.then(response => {
+			expect(response).to.eql({ episode_id: 1, type: 2, marked_at: 1553299200 });
+			return client.voteShow(396, 9);
+		})
+		.then(response => {
+			expect(response).to.eql({ show_id: 396, vote: 9 });
+			expect(seen.map(req => `${req.method} ${req.url.replace('https://api.tvmaze.com/v1/user/', '')}`)).to.eql([
+				'PUT follows/people/37135',
+				'DELETE follows/networks/1',
+				'PUT episodes/1',
+				'PUT votes/shows/396'
+			]);
+			expect(seen[2].headers['Content-Type']).to.equal('application/json');
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('rejects with UnauthorizedError without credentials', function(done) {
+		Tvmaze.createClient({ transport: client.defaults.transport }).showVotes()
+		.then(() => {
+			done(new Error('Expected rejection'));
+		})
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.UnauthorizedError);
+			expect(seen).to.have.lengthOf(0);
+			done();
+		})
+	});
+});
+
+
+// MOCK SERVER USER API
+
+describe('Mock server user API', function() {
+	let me;
+
+	before(function() {
+		me = Tvmaze.createClient({ baseUrl: BASE_URL, rateLimit: false, auth: { username: 'mock-user', apiKey: 'key' } });
+	});
+
+	it('follows and unfollows shows, people, networks and web channels', function(done) {
+		Promise.all([me.followShow(396), me.followShow(1), me.followPerson(37135), me.followNetwork(12), me.followWebChannel(1)])
+		.then(responses => {
+			expect(responses[0]).to.eql({ show_id: 396 });
+			return Promise.all([me.followedShows(['show']), me.followedPerson(37135), me.followedNetworks(), me.followedWebChannels()]);
+		})
+		.then(responses => {
+			expect(responses[0].map(follow => follow.show_id)).to.eql([1, 396]);
+			expect(responses[0][1]._embedded.show.name).to.equal('The Graham Norton Show');
+			expect(responses[1]).to.eql({ person_id: 37135 });
+			expect(responses[2]).to.eql([{ network_id: 12 }]);
+			expect(responses[3]).to.eql([{ webchannel_id: 1 }]);
+			return me.unfollowShow(396);
+		})
+		.then(() => me.followedShows())
+		.then(response => {
+			expect(response).to.eql([{ show_id: 1 }]);
+			return me.followedShow(396);
+		})
+		.then(() => {
+			done(new Error('expected a rejection'));
+		})
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.NotFoundError);
+			return me.followShow(999999).catch(error => error);
+		})
+		.then(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.NotFoundError);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('marks episodes and filters marks by show', function(done) {
+		me.markEpisode(9014, 'acquired', 1553299200)
+		.then(response => {
+			expect(response).to.eql({ episode_id: 9014, type: 1, marked_at: 1553299200 });
+			return Promise.all([me.markEpisode(8010), me.markEpisode(9015, 'skipped')]);
+		})
+		.then(() => Promise.all([me.markedEpisodes(396), me.markedEpisode(8010)]))
+		.then(responses => {
+			expect(responses[0].map(mark => mark.episode_id)).to.eql([9014, 9015]);
+			expect(responses[1]).to.include({ episode_id: 8010, type: 0 });
+			return me.unmarkEpisode(8010);
+		})
+		.then(() => me.markedEpisodes())
+		.then(response => {
+			expect(response.map(mark => mark.episode_id)).to.eql([9014, 9015]);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('votes for shows and episodes', function(done) {
+		Promise.all([me.voteShow(396, 9), me.voteEpisode(9014, 7)])
+		.then(() => Promise.all([me.showVotes(), me.episodeVote(9014)]))
+		.then(responses => {
+			expect(responses[0]).to.have.lengthOf(1);
+			expect(responses[0][0]).to.include({ show_id: 396, vote: 9 });
+			expect(responses[1]).to.include({ episode_id: 9014, vote: 7 });
+			return me.voteShow(396, 11).catch(error => error);
+		})
+		.then(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.TvmazeError);
+			expect(error.status).to.equal(422);
+			return me.unvoteShow(396);
+		})
+		.then(() => me.showVotes())
+		.then(response => {
+			expect(response).to.eql([]);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('keeps users apart and rejects requests without credentials', function(done) {
+		const other = Tvmaze.createClient({ baseUrl: BASE_URL, rateLimit: false, auth: { username: 'other-user', apiKey: 'key' } });
+
+		other.followedShows()
+		.then(response => {
+			expect(response).to.eql([]);
+			return request(Object.assign({}, requestOpts, { uri: BASE_URL + 'v1/user/follows/shows' }));
+		})
+		.then(() => {
+			done(new Error('expected a rejection'));
+		})
+		.catch(error => {
+			expect(error.statusCode).to.equal(401);
+			done();
+		})
+	});
+});
+
+// CANCELLATION
+
+describe('Cancellation and timeouts', function() {
+	const http = require('http');
+	let server;
+	let baseUrl;
+
+	before(function(done) {
+		// Never answers, the test decides when the call ends
+		server = http.createServer(() => {});
+		server.listen(0, '127.0.0.1', () => {
+			baseUrl = `http://127.0.0.1:${server.address().port}/`;
+			done();
+		});
+	});
+
+	after(function(done) {
+		server.close(done);
+	});
+
+	it('rejects with TimeoutError after the timeout', function(done) {
+		Tvmaze.createClient({ baseUrl: baseUrl }).fullSchedule({ timeout: 50 })
+		.then(() => {
+			done(new Error('Expected rejection'));
+		})
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.TimeoutError);
+			expect(error.path).to.equal('schedule/full');
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('rejects with AbortError when the signal aborts', function(done) {
+		const controller = new AbortController();
+
+		Tvmaze.createClient({ baseUrl: baseUrl }).show(1, null, { signal: controller.signal })
+		.then(() => {
+			done(new Error('Expected rejection'));
+		})
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.AbortError);
+			expect(error).to.not.be.an.instanceof(Tvmaze.NetworkError);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+
+		setTimeout(() => controller.abort(), 20);
+	});
+
+	it('aborts calls waiting in the queue or already aborted', function(done) {
+		const controller = new AbortController();
+		const client = Tvmaze.createClient({
+			rateLimit: { limit: 1, interval: 60000 },
+			transport: () => Promise.resolve({ status: 200, headers: {}, body: '{}' })
+		});
+
+		client.show(1)
+		.then(() => {
+			const queued = client.show(2, null, { signal: controller.signal });
+			controller.abort();
+			return queued;
+		})
+		.then(() => {
+			done(new Error('Expected rejection'));
+		})
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.AbortError);
+			expect(client.scheduler.stats().queued).to.equal(0);
+			return client.seasons(1, { signal: controller.signal });
+		})
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.AbortError);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('enforces timeouts for transports ignoring them', function(done) {
+		Tvmaze.createClient({ transport: () => new Promise(() => {}) }).show(1, null, { timeout: 20 })
+		.then(() => {
+			done(new Error('Expected rejection'));
+		})
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.TimeoutError);
+			done();
+		})
+	});
+});
+
+// STREAMING
+
+describe('Streaming', function() {
+	const http = require('http');
+	const zlib = require('zlib');
+	let server;
+	let client;
+
+	before(function(done) {
+		server = http.createServer((req, res) => {
+			if(req.url.startsWith('/shows')){
+				res.writeHead(404, { 'Content-Type': 'application/json' });
+				return res.end('{"name":"Not Found","status":404}');
+			}
+
+			// Written in small pieces so elements span chunks
+			const gzip = zlib.createGzip();
+			res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' });
+			gzip.pipe(res);
+			gzip.write('[');
+			for(let i = 1; i <= 500; i++){
+				gzip.write(JSON.stringify({ id: i, name: `Episode "${i}", [part]` }) + ((i < 500) ? ',' : ''));
+			}
+			gzip.end(']');
+		});
+		server.listen(0, '127.0.0.1', () => {
+			client = Tvmaze.createClient({ baseUrl: `http://127.0.0.1:${server.address().port}/`, retry: false });
+			done();
+		});
+	});
+
+	after(function(done) {
+		server.close(done);
+	});
+
+	it('fullScheduleStream emits episodes one by one', function(done) {
+		const ids = [];
+
+		client.fullScheduleStream()
+		.on('data', episode => ids.push(episode.id))
+		.on('error', done)
+		.on('end', () => {
+			expect(ids).to.have.lengthOf(500);
+			expect(ids[499]).to.equal(500);
+			done();
+		});
+	});
+
+	it('stream errors are typed', function(done) {
+		client.showsIndexStream(1)
+		.on('data', () => done(new Error('Expected no data')))
+		.on('error', error => {
+			expect(error).to.be.an.instanceof(Tvmaze.NotFoundError);
+			expect(error.body).to.eql({ name: 'Not Found', status: 404 });
+			done();
+		});
+	});
+
+	it('streams from transports without streaming support', function(done) {
+		const ids = [];
+
+		Tvmaze.createClient({ transport: () => Promise.resolve({ status: 200, headers: {}, body: '[{"id":1},{"id":2}]' }) })
+		.peopleIndexStream()
+		.on('data', person => ids.push(person.id))
+		.on('error', done)
+		.on('end', () => {
+			expect(ids).to.eql([1, 2]);
+			done();
+		});
+	});
+
+	it('rejects trailing commas but allows empty arrays', function(done) {
+		const stream = body => Tvmaze.createClient({ transport: () => Promise.resolve({ status: 200, headers: {}, body: body }) }).peopleIndexStream();
+		const ids = [];
+
+		stream('[{"id":1},]')
+		.on('data', person => ids.push(person.id))
+		.on('error', error => {
+			expect(error).to.be.an.instanceof(SyntaxError);
+			expect(error.message).to.equal('Unexpected ] in JSON array');
+			expect(ids).to.eql([1]);
+
+			stream(' [ ] ')
+			.on('data', () => done(new Error('Expected no data')))
+			.on('error', done)
+			.on('end', done);
+		})
+		.on('end', () => done(new Error('Expected an error')));
+	});
+});
+
+// MODELS
+
+describe('Models', function() {
+	const responses = {
+		'shows/1': { id: 1, name: 'Show', premiered: '2013-06-24', summary: '<p>A <b>show</b> &amp; more.</p>', _links: { nextepisode: { href: 'https://api.tvmaze.com/episodes/12' } } },
+		'shows/1/episodes': [{ id: 11, name: 'Pilot', airstamp: '2013-06-25T02:00:00+00:00', summary: null, _links: { show: { href: 'https://api.tvmaze.com/shows/1' } } }],
+		'episodes/12': { id: 12, name: 'Next', airstamp: '2030-01-01T02:00:00+00:00' },
+		'schedule': [{ id: 13, airstamp: '2019-03-23T01:00:00+00:00', show: { id: 1, name: 'Show' } }],
+		'schedule/full': [{ id: 14, airstamp: '2019-03-24T01:00:00+00:00', _embedded: { show: { id: 1, name: 'Show' } } }],
+		'people/2': { id: 2, name: 'Person', birthday: '1970-01-02' },
+		'people/2/castcredits': [{ _links: {}, _embedded: { show: { id: 1, name: 'Show' } } }]
+	};
+	const client = Tvmaze.createClient({
+		rateLimit: false,
+		models: true,
+		transport: req => {
+			const path = req.url.replace('https://api.tvmaze.com/', '').split('?')[0];
+			return Promise.resolve({ status: 200, headers: {}, body: JSON.stringify(responses[path]) });
+		}
+	});
+
+	it('wraps shows and keeps the raw JSON', function(done) {
+		client.show(1)
+		.then(show => {
+			expect(show).to.be.an.instanceof(Tvmaze.Show);
+			expect(show.name).to.equal('Show');
+			expect(show.raw).to.eql(responses['shows/1']);
+			expect(JSON.parse(JSON.stringify(show))).to.eql(responses['shows/1']);
+			expect(show.premieredDate.toISOString()).to.equal('2013-06-24T00:00:00.000Z');
+			expect(show.plainSummary).to.equal('A show & more.');
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('navigates from shows to episodes and back', function(done) {
+		let show;
+
+		client.show(1)
+		.then(response => {
+			show = response;
+			return show.episodes();
+		})
+		.then(episodes => {
+			expect(episodes[0]).to.be.an.instanceof(Tvmaze.Episode);
+			expect(episodes[0].airDate.getTime()).to.equal(Date.parse('2013-06-25T02:00:00Z'));
+			expect(episodes[0].plainSummary).to.equal(null);
+			return episodes[0].fetchShow();
+		})
+		.then(parent => {
+			expect(parent.id).to.equal(1);
+			return show.nextEpisode();
+		})
+		.then(next => {
+			expect(next).to.be.an.instanceof(Tvmaze.Episode);
+			expect(next.id).to.equal(12);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('wraps schedule shows and person credits', function(done) {
+		client.schedule('GB')
+		.then(schedule => {
+			expect(schedule[0].show).to.be.an.instanceof(Tvmaze.Show);
+			return client.person(2);
+		})
+		.then(person => {
+			expect(person).to.be.an.instanceof(Tvmaze.Person);
+			expect(person.birthDate.toISOString()).to.equal('1970-01-02T00:00:00.000Z');
+			return person.castCredits('show');
+		})
+		.then(credits => {
+			expect(credits[0]._embedded.show).to.be.an.instanceof(Tvmaze.Show);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('wraps streamed elements as they arrive', function(done) {
+		const episodes = [];
+
+		client.fullScheduleStream()
+		.on('data', episode => episodes.push(episode))
+		.on('error', done)
+		.on('end', () => {
+			expect(episodes).to.have.lengthOf(1);
+			expect(episodes[0]).to.be.an.instanceof(Tvmaze.Episode);
+			expect(episodes[0].airDate.toISOString()).to.equal('2019-03-24T01:00:00.000Z');
+			expect(episodes[0]._embedded.show).to.be.an.instanceof(Tvmaze.Show);
+			done();
+		});
+	});
+
+	it('streams plain JSON unless models are on', function(done) {
+		const episodes = [];
+
+		client.fullScheduleStream({ models: false })
+		.on('data', episode => episodes.push(episode))
+		.on('error', done)
+		.on('end', () => {
+			expect(episodes[0]).not.to.be.an.instanceof(Tvmaze.Episode);
+			expect(episodes).to.eql(responses['schedule/full']);
+			done();
+		});
+	});
+
+	it('returns plain JSON unless models are on', function(done) {
+		client.show(1, null, { models: false })
+		.then(show => {
+			expect(show).not.to.be.an.instanceof(Tvmaze.Show);
+			expect(show).to.eql(responses['shows/1']);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+});
+
+// COMMAND LINE
+
+describe('Command line', function() {
+	const http = require('http');
+	const cli = require('../lib/cli');
+	const seen = [];
+	const server = http.createServer((req, res) => {
+		seen.push({ url: req.url, headers: req.headers });
+
+		const body = (req.url.startsWith('/search/shows'))
+			? [{ score: 17.2, show: { id: 180, name: 'Firefly', type: 'Scripted', language: 'English', status: 'Ended', premiered: '2002-09-20', network: { name: 'FOX' } } }]
+			: [{ id: 1, name: 'A' }, { id: 2, name: 'B' }];
+
+		res.writeHead(200, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify(body));
+	});
+	let base;
+
+	const run = (argv) => {
+		const io = { stdout: '', stderr: '' };
+		const streams = {
+			stdout: { write: chunk => { io.stdout += chunk; } },
+			stderr: { write: chunk => { io.stderr += chunk; } },
+			env: {}
+		};
+
+		return cli.run(argv.concat(['--base-url', base]), streams).then(code => Object.assign(io, { code: code }));
+	};
+
+	before(function(done) {
+		server.listen(0, '127.0.0.1', () => {
+			base = `http://127.0.0.1:${server.address().port}/`;
+			done();
+		});
+	});
+
+	after(function(done) {
+		server.close(done);
+	});
+
+	it('maps subcommands and flags to method calls', function(done) {
+		run(['show', '396', '--embed', 'episodes,cast', '-H', 'X-Test: yes'])
+		.then(result => {
+			expect(result.code).to.equal(0);
+			expect(seen.pop()).to.satisfy(req => {
+				return req.url === '/shows/396?embed%5B%5D=episodes&embed%5B%5D=cast' && req.headers['x-test'] === 'yes';
+			});
+			return run(['lookup', 'imdb', 'tt2758770']);
+		})
+		.then(result => {
+			expect(seen.pop().url).to.equal('/lookup/shows?imdb=tt2758770');
+			return run(['episodes-by-date', '1', '2019-03-23']);
+		})
+		.then(() => {
+			expect(seen.pop().url).to.equal('/shows/1/episodesbydate?date=2019-03-23');
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('writes tables, JSON and NDJSON', function(done) {
+		run(['search', 'firefly', '-o', 'table'])
+		.then(result => {
+			expect(result.stdout).to.equal(
+				'SCORE  ID   NAME     TYPE      LANGUAGE  STATUS  PREMIERED   NETWORK\n' +
+				'17.2   180  Firefly  Scripted  English   Ended   2002-09-20  FOX\n'
+			);
+			return run(['schedule', 'GB', '2019-03-23', '--output', 'json']);
+		})
+		.then(result => {
+			expect(JSON.parse(result.stdout)).to.eql([{ id: 1, name: 'A' }, { id: 2, name: 'B' }]);
+			return run(['fullSchedule', '-o', 'ndjson']);
+		})
+		.then(result => {
+			expect(result.stdout).to.equal('{"id":1,"name":"A"}\n{"id":2,"name":"B"}\n');
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('reports usage errors with exit code 2', function(done) {
+		run(['show'])
+		.then(result => {
+			expect(result.code).to.equal(2);
+			expect(result.stderr).to.contain('Missing <showid>');
+			return run(['shows', '1']);
+		})
+		.then(result => {
+			expect(result.code).to.equal(2);
+			expect(result.stderr).to.contain('Unknown command "shows"');
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('caches on disk and sets the rate limit from flags', function(done) {
+		const fs = require('fs');
+		const os = require('os');
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tvmaze-cli-'));
+		const requests = seen.length;
+
+		run(['show', '7', '--cache-dir', dir, '--no-rate-limit'])
+		.then(() => run(['show', '7', '--cache-dir', dir, '--rate-limit', '5']))
+		.then(result => {
+			expect(result.code).to.equal(0);
+			expect(JSON.parse(result.stdout)).to.eql([{ id: 1, name: 'A' }, { id: 2, name: 'B' }]);
+			expect(seen.length - requests).to.equal(1);
+			return run(['show', '7', '--rate-limit', 'many']);
+		})
+		.then(result => {
+			expect(result.code).to.equal(2);
+			expect(result.stderr).to.contain('--rate-limit needs a number');
+			fs.rmSync(dir, { recursive: true, force: true });
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+});
+
+// CALENDAR
+
+describe('Calendar export', function() {
+	const now = new Date('2019-03-22T00:00:00Z');
+	const show = { id: 1, name: 'Show, The', runtime: 60, network: { id: 4, name: 'FOX' } };
+	const episodes = [
+		{ id: 10, name: 'Aired', season: 1, number: 1, airstamp: '2019-03-20T01:00:00+00:00', runtime: 60 },
+		{ id: 11, name: 'Next; part 1', season: 1, number: 2, airstamp: '2019-03-23T01:00:00+00:00', runtime: 30, summary: '<p>Line one</p><p>Line two</p>', url: 'https://www.tvmaze.com/episodes/11' },
+		{ id: 12, name: 'Undated', season: 1, number: 3, airdate: '2019-03-30', airstamp: null, runtime: null }
+	];
+
+	it('showsCalendar renders future episodes with stable UIDs', function(done) {
+		const seen = [];
+		const client = Tvmaze.createClient({
+			rateLimit: false,
+			transport: req => {
+				seen.push(req.url);
+				return Promise.resolve({ status: 200, headers: {}, body: JSON.stringify(Object.assign({ _embedded: { episodes: episodes } }, show)) });
+			}
+		});
+
+		client.showsCalendar([1], { name: 'Team', from: now, now: now })
+		.then(ics => {
+			const lines = ics.split('\r\n');
+
+			expect(seen).to.eql(['https://api.tvmaze.com/shows/1?embed%5B%5D=episodes']);
+			expect(lines.slice(0, 6)).to.eql([
+				'BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:-//node-tvmaze//node-tvmaze ${require('../package.json').version}//EN`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', 'X-WR-CALNAME:Team'
+			]);
+			expect(lines).to.include.members([
+				'UID:episode-11@api.tvmaze.com',
+				'DTSTAMP:20190322T000000Z',
+				'DTSTART:20190323T010000Z',
+				'DTEND:20190323T013000Z',
+				'SUMMARY:Show\\, The S01E02 Next\\; part 1',
+				'DESCRIPTION:Line one\\n\\nLine two',
+				'LOCATION:FOX',
+				'UID:episode-12@api.tvmaze.com',
+				'DTSTART;VALUE=DATE:20190330'
+			]);
+			expect(ics).not.to.contain('episode-10@');
+			expect(ics.endsWith('END:VCALENDAR\r\n')).to.equal(true);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('showsCalendar can use the nextepisode embed', function(done) {
+		const client = Tvmaze.createClient({
+			rateLimit: false,
+			transport: req => Promise.resolve({ status: 200, headers: {}, body: JSON.stringify(Object.assign({ url: req.url, _embedded: { nextepisode: episodes[1] } }, show)) })
+		});
+
+		client.showsCalendar(1, { nextOnly: true, from: now })
+		.then(ics => {
+			expect(ics.match(/BEGIN:VEVENT/g)).to.have.length(1);
+			expect(ics).to.contain('UID:episode-11@api.tvmaze.com');
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('toICalendar filters schedule entries by network and folds long lines', function() {
+		const items = [
+			Object.assign({ show: show }, episodes[1], { summary: 'é'.repeat(80) }),
+			Object.assign({ show: { name: 'Web', webChannel: { id: 1, name: 'Netflix' } } }, episodes[0], { id: 20 })
+		];
+		const ics = Tvmaze.toICalendar(items, { network: 'fox' });
+
+		expect(ics).to.contain('UID:episode-11@api.tvmaze.com');
+		expect(ics).not.to.contain('episode-20@');
+		expect(Tvmaze.toICalendar(items, { network: [1] })).to.contain('UID:episode-20@api.tvmaze.com');
+		ics.split('\r\n').forEach(line => {
+			expect(Buffer.byteLength(line)).to.be.at.most(75);
+		});
+		expect(ics).to.contain('\r\n é');
+	});
+});
+
+// RECORDINGS
+
+describe('Record and replay', function() {
+	const fs = require('fs');
+	const os = require('os');
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-tvmaze-recordings-'));
+
+	after(function() {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('loads the mock server only when it is used', function() {
+		const { execFileSync } = require('child_process');
+		const script = "const Tvmaze = require('./');"
+			+ "const loaded = () => Object.keys(require.cache).some(file => file.endsWith('mock-server.js'));"
+			+ "const before = loaded();"
+			+ "process.stdout.write(JSON.stringify([before, typeof Tvmaze.MockServer, loaded()]));";
+		const output = execFileSync(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..') });
+
+		expect(JSON.parse(output)).to.eql([false, 'function', true]);
+		expect(Tvmaze.MockServer).to.equal(MockServer);
+	});
+
+	it('records responses and replays them without a server', function(done) {
+		const recorder = Tvmaze.createClient({ baseUrl: BASE_URL, rateLimit: false, transport: Tvmaze.recordTransport(dir) });
+		const player = Tvmaze.createClient({ baseUrl: 'http://127.0.0.1:1/', rateLimit: false, retry: false, transport: Tvmaze.replayTransport(dir) });
+		let recorded;
+
+		Promise.all([
+			recorder.show(396, ['episodes']),
+			recorder.lookupImdb('tt2758770'),
+			recorder.show(5).catch(error => error)
+		])
+		.then(results => {
+			recorded = results;
+			expect(fs.readdirSync(dir)).to.have.length(3);
+			return Promise.all([
+				player.show(396, ['episodes']),
+				player.lookupImdb('tt2758770'),
+				player.show(5).catch(error => error)
+			]);
+		})
+		.then(results => {
+			expect(results[0]).to.eql(recorded[0]);
+			expect(results[1].name).to.equal('Star vs. the Forces of Evil');
+			expect(results[2]).to.be.an.instanceof(Tvmaze.NotFoundError);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('replays streamed requests', function(done) {
+		const recorder = Tvmaze.createClient({ baseUrl: BASE_URL, rateLimit: false, transport: Tvmaze.recordTransport(dir) });
+		const player = Tvmaze.createClient({ rateLimit: false, transport: Tvmaze.replayTransport(dir) });
+		const collect = stream => new Promise((resolve, reject) => {
+			const items = [];
+			stream.on('data', item => items.push(item)).on('end', () => resolve(items)).on('error', reject);
+		});
+
+		collect(recorder.fullScheduleStream())
+		.then(recorded => {
+			return collect(player.fullScheduleStream()).then(replayed => {
+				expect(replayed).to.eql(recorded);
+				expect(replayed.length).to.be.above(0);
+				done();
+			});
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('rejects requests that were never recorded', function(done) {
+		const player = Tvmaze.createClient({ rateLimit: false, retry: false, transport: Tvmaze.replayTransport(dir) });
+
+		player.show(1)
+		.then(() => {
+			done(new Error('expected a rejection'));
+		})
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.CassetteError);
+			expect(error.message).to.contain('No recording of GET shows/1');
+			done();
+		})
+	});
+});
+
+describe('Cassettes', function() {
+	const fs = require('fs');
+	const os = require('os');
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-tvmaze-cassette-'));
+	const seen = [];
+	const transport = req => {
+		seen.push(req.url);
+		return Promise.resolve({ status: 200, headers: { 'content-type': 'application/json' }, body: JSON.stringify({ url: req.url, count: seen.length }) });
+	};
+
+	after(function() {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('auto mode records new requests and replays known ones', function(done) {
+		const client = Tvmaze.createClient({ rateLimit: false, transport: transport, cassette: { dir: dir } });
+
+		client.show(396, ['episodes'])
+		.then(first => {
+			expect(first.count).to.equal(1);
+			return client.show(396, ['episodes']);
+		})
+		.then(second => {
+			expect(second.count).to.equal(1);
+			expect(seen).to.have.length(1);
+
+			const recording = JSON.parse(fs.readFileSync(path.join(dir, fs.readdirSync(dir)[0]), 'utf8'));
+			expect(recording.request).to.include({ method: 'GET', path: 'shows/396' });
+			expect(recording.request.query).to.eql({ 'embed[]': 'episodes' });
+			expect(recording.request.headers).to.have.property('User-Agent');
+			expect(recording.response.status).to.equal(200);
+			expect(recording.response.body).to.eql(second);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('record mode always sends and redacts credentials', function(done) {
+		const client = Tvmaze.createClient({
+			rateLimit: false,
+			transport: transport,
+			auth: { username: 'user', apiKey: 'secret' },
+			cassette: { dir: dir, mode: 'record' }
+		});
+
+		client.followedShows()
+		.then(() => client.followedShows())
+		.then(response => {
+			expect(response.count).to.equal(3);
+
+			const file = fs.readdirSync(dir).find(name => name.startsWith('GET-v1-user-follows-shows'));
+			const recording = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+			expect(recording.request.headers.Authorization).to.equal('[redacted]');
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('replay mode fails loudly on unmatched requests', function(done) {
+		const client = Tvmaze.createClient({ rateLimit: false, transport: transport, cassette: { dir: dir, mode: 'replay' } });
+
+		client.show(396, ['episodes'])
+		.then(response => {
+			expect(response.count).to.equal(1);
+			return client.show(396, ['cast']);
+		})
+		.then(() => {
+			done(new Error('expected a rejection'));
+		})
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.CassetteError);
+			expect(error.message).to.contain('GET shows/396 {"embed[]":"cast"}');
+			expect(seen).to.have.length(3);
+			done();
+		})
+	});
+
+	it('rejects bad configs when creating a client', function() {
+		expect(() => Tvmaze.createClient({ transport: transport, cassette: { dir: dir, mode: 'rewind' } })).to.throw(TypeError, 'Cassette mode');
+		expect(() => Tvmaze.createClient({ transport: transport, cassette: { mode: 'replay' } })).to.throw(TypeError, 'dir');
+	});
+
+	it('rejects calls with a bad per call cassette', function(done) {
+		const client = Tvmaze.createClient({ rateLimit: false, transport: transport });
+		const stream = client.fullScheduleStream({ cassette: { dir: dir, mode: 'rewind' } });
+
+		stream.on('error', error => {
+			expect(error).to.be.an.instanceof(TypeError);
+			expect(error).not.to.be.an.instanceof(Tvmaze.TvmazeError);
+			expect(error.message).to.contain('Cassette mode');
+
+			client.show(1, null, { cassette: { dir: dir, mode: 'rewind' } })
+			.then(() => {
+				done(new Error('expected a rejection'));
+			})
+			.catch(error => {
+				expect(error).to.be.an.instanceof(TypeError);
+				done();
+			})
+			.catch(done);
+		});
+	});
+});
+
+// MIDDLEWARE
+
+describe('Middleware and events', function() {
+	const seen = [];
+	let responses = [];
+	const transport = req => {
+		seen.push(req);
+		const response = responses.shift() || { status: 200, body: { id: 396 } };
+		return Promise.resolve({ status: response.status, headers: response.headers || {}, body: JSON.stringify(response.body) });
+	};
+
+	beforeEach(function() {
+		seen.length = 0;
+		responses = [];
+	});
+
+	it('runs middleware in order around the transport', function(done) {
+		const order = [];
+		const client = Tvmaze.createClient({ rateLimit: false, transport: transport });
+
+		client
+		.use((req, next) => {
+			order.push('outer');
+			return next(Object.assign({}, req, { headers: Object.assign({}, req.headers, { 'X-Trace': 'abc' }) }))
+				.then(response => {
+					order.push('outer done');
+					return response;
+				});
+		})
+		.use((req, next) => {
+			order.push(`inner ${req.headers['X-Trace']}`);
+			return next().then(response => Object.assign({}, response, { body: Object.assign({ rewritten: true }, response.body) }));
+		});
+
+		client.show(396)
+		.then(response => {
+			expect(response).to.eql({ rewritten: true, id: 396 });
+			expect(seen[0].headers['X-Trace']).to.equal('abc');
+			expect(order).to.eql(['outer', 'inner abc', 'outer done']);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('lets middleware answer without the transport', function(done) {
+		const client = Tvmaze.createClient({ rateLimit: false, transport: transport })
+			.use(req => Promise.resolve((req.path === 'shows/1')
+				? { status: 200, headers: {}, body: { id: 1, stubbed: true } }
+				: { status: 404, headers: {}, body: { name: 'Not Found' } }));
+
+		client.show(1)
+		.then(response => {
+			expect(response).to.eql({ id: 1, stubbed: true });
+			return client.show(2);
+		})
+		.then(() => {
+			done(new Error('expected a rejection'));
+		})
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.NotFoundError);
+			expect(seen).to.have.length(0);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('rejects middleware that is not a function', function() {
+		expect(() => Tvmaze.createClient().use('logger')).to.throw(TypeError, 'Middleware');
+	});
+
+	it('emits request, response and retry events with timing', function(done) {
+		const events = [];
+		const client = Tvmaze.createClient({ rateLimit: false, retry: { retries: 1, minDelay: 1 }, transport: transport });
+
+		responses = [{ status: 503, body: { status: 503 } }];
+
+		client.on('request', info => events.push(['request', info.attempt, info.request.path]));
+		client.on('response', info => events.push(['response', info.attempt, info.status, typeof info.duration]));
+		client.on('retry', info => events.push(['retry', info.attempt, info.error.status, typeof info.delay]));
+
+		client.show(396)
+		.then(response => {
+			expect(response).to.eql({ id: 396 });
+			expect(events).to.eql([
+				['request', 0, 'shows/396'],
+				['response', 0, 503, 'number'],
+				['retry', 0, 503, 'number'],
+				['request', 1, 'shows/396'],
+				['response', 1, 200, 'number']
+			]);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('emits error events for failed requests only to listeners', function(done) {
+		const failures = [];
+		const client = Tvmaze.createClient({ rateLimit: false, retry: false, transport: transport });
+
+		responses = [{ status: 404, body: { name: 'Not Found' } }, { status: 404, body: { name: 'Not Found' } }];
+
+		client.show(1)
+		.catch(error => {
+			expect(error).to.be.an.instanceof(Tvmaze.NotFoundError);
+			client.on('error', info => failures.push(info));
+			return client.show(2);
+		})
+		.catch(error => {
+			expect(failures).to.have.length(1);
+			expect(failures[0].error).to.equal(error);
+			expect(failures[0].path).to.equal('shows/2');
+			expect(failures[0].duration).to.be.a('number');
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
+
+	it('skips middleware and events for cache hits', function(done) {
+		let requests = 0;
+		const client = Tvmaze.createClient({ rateLimit: false, cache: true, transport: transport })
+			.use((req, next) => {
+				requests++;
+				return next();
+			});
+
+		client.on('request', () => requests++);
+
+		client.show(396)
+		.then(() => client.show(396))
+		.then(() => {
+			expect(requests).to.equal(2);
+			expect(seen).to.have.length(1);
+			done();
+		})
+		.catch(error => {
+			done(error);
+		})
+	});
 });
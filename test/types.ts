@@ -0,0 +1,79 @@
+// Type tests for index.d.ts, checked by "npm run test:types" and never run.
+// Lines marked @ts-expect-error must fail to compile, so a loosened type fails the check too.
+
+import Tvmaze = require('../index');
+
+// Compiles only when the argument type is exactly T
+type Exact<T, U> = [T] extends [U] ? ([U] extends [T] ? true : false) : false;
+declare function expectType<T>(): <U>(value: U & (Exact<T, U> extends true ? unknown : never)) => void;
+
+async function embeds() {
+	const show = await Tvmaze.show(396, ['episodes', 'cast']);
+
+	expectType<Tvmaze.Episode[]>()(show._embedded.episodes);
+	expectType<Tvmaze.CastMember[]>()(show._embedded.cast);
+	// @ts-expect-error nextepisode was not requested
+	show._embedded.nextepisode;
+
+	const plain = await Tvmaze.show(396);
+
+	expectType<Tvmaze.Show>()(plain);
+	// @ts-expect-error no embeds, no _embedded
+	plain._embedded.episodes;
+
+	const episode = await Tvmaze.episodeById(1, ['show']);
+
+	expectType<Tvmaze.Show>()(episode._embedded.show);
+
+	// @ts-expect-error not a show embed
+	await Tvmaze.show(396, ['show']);
+}
+
+async function models() {
+	const plain = Tvmaze.createClient({ rateLimit: false });
+	const client = Tvmaze.createClient({ models: true, rateLimit: false });
+
+	expectType<Tvmaze.Client>()(plain);
+	expectType<Tvmaze.Client<true>>()(client);
+
+	const show = await client.show(396, ['cast']);
+
+	expectType<Date | null>()(show.premieredDate);
+	expectType<Tvmaze.CastMember[]>()(show._embedded.cast);
+	expectType<Tvmaze.EpisodeModel[]>()(await show.episodes());
+	expectType<Tvmaze.EpisodeModel[]>()(await client.episodes(396));
+	const scheduled: Tvmaze.ShowModel | undefined = (await client.schedule('GB'))[0].show;
+
+	// @ts-expect-error plain clients return plain JSON
+	(await plain.show(396)).premieredDate;
+
+	for await (const person of client.peopleIndexStream()) {
+		expectType<Tvmaze.PersonModel>()(person);
+	}
+
+	for await (const entry of plain.iterateShows()) {
+		expectType<Tvmaze.Show>()(entry);
+	}
+}
+
+async function methods() {
+	expectType<Tvmaze.MarkedEpisode>()(await Tvmaze.markEpisode(1, 'skipped'));
+	// @ts-expect-error unknown mark type
+	await Tvmaze.markEpisode(1, 'seen');
+
+	expectType<string>()(await Tvmaze.showsCalendar([1, 2], { nextOnly: true }));
+	expectType<number[]>()(await Tvmaze.showsChangedSince(new Date()));
+
+	// @ts-expect-error rate limits are objects or false
+	Tvmaze.createClient({ rateLimit: true });
+
+	try {
+		await Tvmaze.lookupImdb('tt0000000');
+	} catch (error) {
+		if (error instanceof Tvmaze.NotFoundError) {
+			expectType<string | undefined>()(error.path);
+		}
+	}
+}
+
+export { embeds, models, methods };